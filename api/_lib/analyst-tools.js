@@ -0,0 +1,160 @@
+// /api/_lib/analyst-tools.js
+// The functions the AI analyst can call. They run on the server against the cached
+// bookings and reuse the dashboard's own KPI code, so the numbers in an answer match
+// the numbers on screen.
+
+import { filterBookings } from './lodgify.js';
+import { computeKpis, getMonthBucket, getPropertyId, getPropertyName, getStayNights, prorateStay, resolveWindow } from '../../src/metrics.js';
+
+// list_bookings never returns more rows than this, however many the model asks for.
+const MAX_LISTED_BOOKINGS = 100;
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+// Parameters shared by every tool. Missing ones default to the dashboard's current selection.
+const FILTER_PARAMETERS = {
+  start_date: { type: 'string', description: 'First night of the range, YYYY-MM-DD. Defaults to the range selected on the dashboard.' },
+  end_date: { type: 'string', description: 'Last night of the range, YYYY-MM-DD. Defaults to the range selected on the dashboard.' },
+  property_id: { type: 'string', description: 'Only bookings for this Lodgify property id.' },
+  source: { type: 'string', description: 'Only bookings from this channel, e.g. "Airbnb", "Booking.com" or "Direct".' },
+};
+
+// Function declarations with JSON Schema parameters; each LLM provider translates them.
+export const TOOL_DECLARATIONS = [
+  {
+    name: 'aggregate_bookings',
+    description: 'Groups confirmed bookings by month of arrival, channel or property and returns bookings, nights, revenue and ADR for each group. Nights and revenue are prorated to the date range.',
+    parameters: {
+      type: 'object',
+      properties: {
+        group_by: { type: 'string', enum: ['month', 'channel', 'property'], description: 'What to group by.' },
+        ...FILTER_PARAMETERS,
+      },
+      required: ['group_by'],
+    },
+  },
+  {
+    name: 'compute_kpis',
+    description: 'Computes the dashboard KPIs for a date range: revenue, bookings, nights, occupancy, RevPAR, ADR, average booking value, length of stay, lead time and cancellation rate.',
+    parameters: {
+      type: 'object',
+      properties: { ...FILTER_PARAMETERS },
+    },
+  },
+  {
+    name: 'list_bookings',
+    description: `Lists individual bookings matching a filter, sorted by arrival. Returns at most ${MAX_LISTED_BOOKINGS} rows plus the total number of matches.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        ...FILTER_PARAMETERS,
+        status: { type: 'string', description: 'Only bookings with this status, e.g. "Booked" or "Cancelled".' },
+        limit: { type: 'integer', description: `Maximum number of rows to return (default 20, at most ${MAX_LISTED_BOOKINGS}).` },
+      },
+    },
+  },
+];
+
+// Narrows the bookings to a tool call's filters, falling back to the dashboard's selection.
+const selectBookings = (args, context) => {
+  const startDate = args.start_date || context.startDate || null;
+  const endDate = args.end_date || context.endDate || null;
+  const propertyId = args.property_id || context.propertyId || null;
+
+  let bookings = filterBookings(context.bookings, {
+    start: startDate,
+    end: endDate,
+    statuses: args.status ? [args.status] : [],
+    propertyIds: propertyId ? [String(propertyId)] : [],
+  });
+  if (args.source) bookings = bookings.filter(b => (b.source || 'Unknown').toLowerCase() === String(args.source).toLowerCase());
+
+  // Occupancy is measured against every property in view, like the dashboard does.
+  const propertyCount = propertyId ? 1 : Math.max(context.propertyCount || 0, new Set(context.bookings.map(getPropertyId)).size, 1);
+  return { bookings, startDate, endDate, propertyCount };
+};
+
+const summarizeKpis = (kpis) => ({
+  total_revenue: round(kpis.totalRevenue),
+  total_bookings: kpis.totalBookings,
+  total_nights: kpis.totalNights,
+  available_nights: kpis.availableNights,
+  occupancy_rate_percent: round(kpis.occupancyRate),
+  revpar: round(kpis.revPar),
+  avg_nightly_rate: round(kpis.avgNightlyRate),
+  avg_booking_value: round(kpis.avgBookingValue),
+  avg_length_of_stay_nights: round(kpis.avgLengthOfStay),
+  avg_lead_time_days: round(kpis.avgLeadTime),
+  cancellation_rate_percent: round(kpis.cancellationRate),
+});
+
+const TOOLS = {
+  aggregate_bookings(args, context) {
+    const { bookings, startDate, endDate } = selectBookings(args, context);
+    const window = resolveWindow(bookings, startDate, endDate);
+    const { confirmedBookings } = computeKpis(bookings, { window });
+
+    // Month buckets are the same as the "Bookings per Month" chart's; keys sort chronologically.
+    const groupFor = {
+      month: (b) => getMonthBucket(b, window) || { key: 'unknown', name: 'Unknown' },
+      channel: (b) => ({ key: b.source || 'Unknown', name: b.source || 'Unknown' }),
+      property: (b) => ({ key: getPropertyId(b), name: getPropertyName(getPropertyId(b), context.propertyNames) }),
+    }[args.group_by];
+    if (!groupFor) throw new Error('group_by must be one of "month", "channel" or "property".');
+
+    const byKey = {};
+    confirmedBookings.forEach(b => {
+      const { key, name } = groupFor(b);
+      if (!byKey[key]) byKey[key] = { name, bookings: [] };
+      byKey[key].bookings.push(b);
+    });
+    const groups = Object.keys(byKey).sort().map(key => [byKey[key].name, byKey[key].bookings]);
+
+    return {
+      range: { start_date: startDate, end_date: endDate },
+      groups: groups.map(([name, groupBookings]) => {
+        const stays = groupBookings.map(b => prorateStay(b, window));
+        const nights = stays.reduce((acc, stay) => acc + stay.nights, 0);
+        const revenue = stays.reduce((acc, stay) => acc + stay.revenue, 0);
+        return { group: name, bookings: groupBookings.length, nights, revenue: round(revenue), adr: round(nights > 0 ? revenue / nights : 0) };
+      }),
+    };
+  },
+
+  compute_kpis(args, context) {
+    const { bookings, startDate, endDate, propertyCount } = selectBookings(args, context);
+    return {
+      range: { start_date: startDate, end_date: endDate },
+      ...summarizeKpis(computeKpis(bookings, { startDate, endDate, propertyCount })),
+    };
+  },
+
+  list_bookings(args, context) {
+    const { bookings } = selectBookings(args, context);
+    const limit = Math.min(Math.max(parseInt(args.limit, 10) || 20, 1), MAX_LISTED_BOOKINGS);
+    const sorted = bookings.slice().sort((a, b) => String(a.arrival).localeCompare(String(b.arrival)));
+    return {
+      total_matches: sorted.length,
+      bookings: sorted.slice(0, limit).map(b => ({
+        id: b.id,
+        guest: b.guest?.name || 'N/A',
+        property: getPropertyName(getPropertyId(b), context.propertyNames),
+        arrival: b.arrival,
+        departure: b.departure,
+        nights: getStayNights(b),
+        source: b.source || 'Unknown',
+        status: b.status,
+        total_amount: round(b.total_amount),
+        created: b.creation_date,
+      })),
+    };
+  },
+};
+
+// Runs one tool call. `context` holds the cached bookings, the dashboard's current
+// selection (startDate, endDate, propertyId), property names and property count.
+export function runTool(name, args = {}, context) {
+  const tool = TOOLS[name];
+  if (!tool) throw new Error(`Unknown function "${name}".`);
+  return tool(args, context);
+}
@@ -0,0 +1,70 @@
+// /api/_lib/analyst.js
+// Answers questions about the bookings by letting the model call the functions in
+// analyst-tools.js instead of reading raw booking data and doing the arithmetic itself.
+
+import { TOOL_DECLARATIONS, runTool } from './analyst-tools.js';
+import { llmError } from './llm/errors.js';
+
+// Stops a model that keeps calling functions without ever answering.
+export const MAX_TOOL_ROUNDS = 6;
+
+// Older turns than this are dropped from a conversation's history.
+const MAX_HISTORY_TURNS = 20;
+
+// Keeps only well-formed text turns from a client-supplied conversation history.
+const sanitizeHistory = (history) => (Array.isArray(history) ? history : [])
+  .filter(turn => (turn?.role === 'user' || turn?.role === 'assistant') && typeof turn.content === 'string' && turn.content.trim())
+  .map(turn => ({ role: turn.role, content: turn.content }))
+  .slice(-MAX_HISTORY_TURNS);
+
+const buildSystemPrompt = ({ startDate, endDate, propertyId, currency = 'USD', otherCurrencies = [] }) => `You are a vacation rental data analyst. Answer questions about the user's bookings using ONLY the numbers returned by the functions you are given. Never estimate or do arithmetic yourself when a function can compute the value; call it instead. If the functions cannot answer the question, say so clearly. Be concise and direct in your answers. **Format your response using markdown with paragraphs, bold headings, and bullet points for clarity.**
+
+Today's date is ${new Date().toISOString().slice(0, 10)}. The dashboard currently shows ${startDate || 'the earliest booking'} to ${endDate || 'the latest booking'}${propertyId ? ` for property ${propertyId}` : ' for all properties'}; use that range unless the question asks about another one. All amounts are in ${currency}.${otherCurrencies.length > 0 ? ` Bookings priced in ${otherCurrencies.join(', ')} are left out of every figure; mention that when it matters to the answer.` : ''}`;
+
+// Runs the question through the model, executing any function calls it makes, until it
+// returns a text answer. `history` holds the earlier turns of the conversation as
+// [{ role: 'user' | 'assistant', content }], so follow-ups keep their context. `provider`
+// is an LLM provider from ./llm (or a scripted fake with the same `generate` method).
+// `onText` receives the answer as it streams in and `onToolCall` each function call once
+// it has run. Returns the answer together with every function call and its exact result.
+export async function runAnalyst({ question, history = [], context, provider, onText = () => {}, onToolCall = () => {} }) {
+  const messages = [...sanitizeHistory(history), { role: 'user', content: question }];
+  const toolCalls = [];
+  let answer = '';
+
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+    // Text from separate rounds (e.g. a remark before a function call) becomes separate paragraphs.
+    let separator = answer ? '\n\n' : '';
+    const { text, toolCalls: calls } = await provider.generate({
+      system: buildSystemPrompt(context),
+      messages,
+      tools: TOOL_DECLARATIONS,
+      onText: (piece) => {
+        onText(separator + piece);
+        separator = '';
+      },
+    });
+    if (text) answer += (answer ? '\n\n' : '') + text;
+
+    if (calls.length === 0) {
+      if (!answer.trim()) throw llmError('Received an empty response from the AI.', { code: 'invalid_response', provider: provider.name });
+      return { answer: answer.trim(), toolCalls };
+    }
+
+    // Run every requested function and hand the results back for the next round.
+    messages.push({ role: 'assistant', content: text, toolCalls: calls });
+    calls.forEach(({ id, name, args }) => {
+      let result;
+      try {
+        result = runTool(name, args, context);
+      } catch (error) {
+        result = { error: error.message };
+      }
+      toolCalls.push({ name, args, result });
+      onToolCall({ name, args, result });
+      messages.push({ role: 'tool', toolCallId: id, name, content: result });
+    });
+  }
+
+  throw llmError('The AI did not reach an answer after several function calls.', { code: 'invalid_response', provider: provider.name });
+}
@@ -0,0 +1,121 @@
+// /api/_lib/auth.js
+// Sign-in sessions and per-user access to bookings.
+//
+// A session is a random id saved in the booking store (which every instance shares when it
+// is the KV store), sent to the browser in a signed cookie with an expiry. Signing out
+// deletes it. The user is looked up again on every request, so a changed property list
+// applies straight away, and a changed role or tokenVersion (see users.js) ends the
+// session. Set AUTH_SECRET to a long random string; changing it signs everyone out.
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { getUserStore } from './users.js';
+import { getBookingStore } from './booking-store.js';
+
+const SESSION_COOKIE = 'lodgify_session';
+const SESSION_TTL_SECONDS = 7 * 24 * 3600;
+
+const sign = (payload, secret) => createHmac('sha256', secret).update(payload).digest('base64url');
+
+// Creates a session token for a session id: "<payload>.<signature>".
+export const createSessionToken = (sessionId, secret, now = Date.now()) => {
+  const payload = Buffer.from(JSON.stringify({ sid: sessionId, exp: Math.floor(now / 1000) + SESSION_TTL_SECONDS })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+};
+
+// Returns the session id in a valid, unexpired token, or null.
+export const readSessionToken = (token, secret, now = Date.now()) => {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const { sid, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return sid && exp * 1000 > now ? sid : null;
+  } catch {
+    return null;
+  }
+};
+
+// Cookies set by other apps on the same domain may not be valid percent-encoding; those are
+// skipped rather than failing the request.
+const parseCookies = (header) => {
+  const cookies = {};
+  String(header || '').split(';').forEach(part => {
+    const [name, ...value] = part.trim().split('=');
+    if (!name || value.length === 0) return;
+    try {
+      cookies[name] = decodeURIComponent(value.join('='));
+    } catch {
+      // Not one of ours.
+    }
+  });
+  return cookies;
+};
+
+const readSessionId = (req, secret) => readSessionToken(parseCookies(req.headers?.cookie)[SESSION_COOKIE], secret);
+
+// Secure cookies only work over https; Vercel tells us the original protocol.
+const cookieAttributes = (req, maxAge) => [
+  'Path=/',
+  'HttpOnly',
+  'SameSite=Lax',
+  `Max-Age=${maxAge}`,
+  ...(req.headers?.['x-forwarded-proto'] === 'https' ? ['Secure'] : []),
+].join('; ');
+
+export const sessionCookie = (req, token) => `${SESSION_COOKIE}=${token}; ${cookieAttributes(req, SESSION_TTL_SECONDS)}`;
+export const clearedSessionCookie = (req) => `${SESSION_COOKIE}=; ${cookieAttributes(req, 0)}`;
+
+// Starts a session for a user and returns the token for the session cookie.
+export async function startSession(user, { secret = process.env.AUTH_SECRET, sessionStore = getBookingStore(), now = Date.now() } = {}) {
+  const sessionId = randomBytes(32).toString('base64url');
+  await sessionStore.putSession(sessionId, { username: user.username, role: user.role, tokenVersion: user.tokenVersion }, SESSION_TTL_SECONDS, now);
+  return createSessionToken(sessionId, secret, now);
+}
+
+// Ends the session a request is signed in with, if any.
+export async function endSession(req, { secret = process.env.AUTH_SECRET, sessionStore = getBookingStore() } = {}) {
+  const sessionId = readSessionId(req, secret);
+  if (sessionId) await sessionStore.deleteSession(sessionId);
+}
+
+// The user a request is signed in as, or null.
+export async function getSessionUser(req, { secret = process.env.AUTH_SECRET, store = getUserStore(), sessionStore = getBookingStore() } = {}) {
+  const sessionId = readSessionId(req, secret);
+  const session = sessionId ? await sessionStore.getSession(sessionId) : null;
+  if (!session) return null;
+
+  const user = await store.findUser(session.username);
+  return user && user.role === session.role && user.tokenVersion === session.tokenVersion ? user : null;
+}
+
+// Returns the signed-in user, or answers the request with an error and returns null:
+//
+//   const user = await requireUser(req, res);
+//   if (!user) return;
+export async function requireUser(req, res) {
+  if (!process.env.AUTH_SECRET) {
+    res.status(500).json({ error: "Authentication is not configured on the server." });
+    return null;
+  }
+  const user = await getSessionUser(req);
+  if (!user) {
+    res.status(401).json({ error: "Please sign in." });
+    return null;
+  }
+  return user;
+}
+
+// What the client is told about a user; never the password hash.
+export const publicUser = (user) => ({ username: user.username, name: user.name, role: user.role, propertyIds: user.propertyIds });
+
+// Whether a user may see a property's bookings.
+export const canSeeProperty = (user, propertyId) => user.role === 'admin' || user.propertyIds.includes(String(propertyId));
+
+// Only the bookings of properties the user may see.
+export const scopeBookings = (user, bookings) => (
+  user.role === 'admin' ? bookings : bookings.filter(booking => canSeeProperty(user, booking.property_id))
+);
@@ -0,0 +1,365 @@
+// /api/_lib/booking-store.js
+// Server-side cache of Lodgify bookings and properties, so the API doesn't have to hit Lodgify
+// on every request.
+//
+// A store is any object with these async methods, so the JSON file store below can be swapped
+// for a database-backed one without touching the callers:
+//   getBookings()                      - every cached booking
+//   upsertBookings(items, { since })   - adds or replaces bookings by id
+//   replaceBookings(items, { since })  - replaces the whole cache (after a full sync)
+//   getProperties()                    - the cached properties ([] before the first sync)
+//   replaceProperties(items)           - replaces the cached properties
+//   getSyncState()                     - the saved sync state ({} before the first sync)
+//   updateSyncState(changes)           - merges `changes` into the saved sync state
+//   hasProcessedEvent(key)             - whether a webhook delivery has been applied already
+//   markEventProcessed(key)
+//
+// The store also keeps the other state every instance has to agree on:
+//   incrementCounter(key, windowMs)         - counts a hit in a fixed window; returns { count, resetAt }
+//   putSession(id, session, ttlSeconds)     - saves a sign-in session
+//   getSession(id)                          - the session, or null once it was deleted or expired
+//   deleteSession(id)
+//
+// A sync fetches from Lodgify first and writes afterwards, and a webhook can update a booking
+// in between. So a sync passes `since` (when it started fetching), and bookings written after
+// that are left as they are instead of being overwritten with the older copy. Likewise the
+// sync state is merged field by field, so a sync and a webhook never undo each other's fields.
+//
+// Serverless instances don't share memory or disk, and their temp dir is wiped when they are
+// recycled. A deployment therefore needs the KV store (Vercel KV / Upstash Redis), which every
+// instance reaches over HTTP. The file and memory stores are for development and tests.
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Lodgify ids are numbers, but we key on strings so lookups never depend on the type.
+const bookingKey = (booking) => String(booking.id);
+
+// How many webhook delivery keys we remember for spotting duplicates.
+const MAX_PROCESSED_EVENTS = 1000;
+
+// `writtenAt` holds when each booking was last written, by key.
+const emptyData = () => ({ bookings: {}, writtenAt: {}, properties: [], syncState: {}, processedEvents: [], counters: {}, sessions: {} });
+
+// Drops the entries of an object whose `field` time has passed.
+const dropExpired = (entries, field, now) => Object.fromEntries(Object.entries(entries).filter(([, entry]) => entry[field] > now));
+
+// Counts a hit for `key`, starting a new window once the last one has ended. Returns the new
+// data and the counter.
+const countHit = (data, key, windowMs, now) => {
+  const counters = dropExpired(data.counters, 'resetAt', now);
+  const counter = counters[key] ? { ...counters[key], count: counters[key].count + 1 } : { count: 1, resetAt: now + windowMs };
+  counters[key] = counter;
+  return { data: { ...data, counters }, counter };
+};
+
+const addSession = (data, id, session, ttlSeconds, now) => {
+  const sessions = dropExpired(data.sessions, 'expiresAt', now);
+  sessions[id] = { ...session, expiresAt: now + ttlSeconds * 1000 };
+  return { ...data, sessions };
+};
+
+const findSession = (data, id, now) => {
+  const session = data.sessions[id];
+  return session && session.expiresAt > now ? session : null;
+};
+
+const removeSession = (data, id) => ({
+  ...data,
+  sessions: Object.fromEntries(Object.entries(data.sessions).filter(([key]) => key !== id)),
+});
+
+// Writes bookings into the cache data, keeping any written after `since`. With `replace`,
+// bookings not in `items` are dropped too, unless they were written after `since`.
+const writeBookings = (data, items, { replace = false, since = null } = {}) => {
+  const isNewer = (key) => Boolean(since) && data.writtenAt[key] > since;
+  const kept = replace ? Object.keys(data.bookings).filter(isNewer) : Object.keys(data.bookings);
+  const bookings = Object.fromEntries(kept.map(key => [key, data.bookings[key]]));
+  const writtenAt = Object.fromEntries(kept.map(key => [key, data.writtenAt[key]]));
+
+  const now = new Date().toISOString();
+  items.forEach(item => {
+    const key = bookingKey(item);
+    if (isNewer(key)) return;
+    bookings[key] = item;
+    writtenAt[key] = now;
+  });
+  return { ...data, bookings, writtenAt };
+};
+
+// Records a webhook delivery key, forgetting the oldest ones past the limit.
+const rememberEvent = (processedEvents, key) => [...processedEvents, key].slice(-MAX_PROCESSED_EVENTS);
+
+// Keeps everything in one JSON file. Writes go to a temporary file first and are then
+// renamed over the old one, so a crash mid-write never leaves a half-written cache.
+// Updates are queued so two of them in the same instance can't overwrite each other; each
+// one is a function from the current data to the new data.
+export function createJsonFileStore(filePath) {
+  const read = async () => {
+    try {
+      return { ...emptyData(), ...JSON.parse(await fs.readFile(filePath, 'utf8')) };
+    } catch (error) {
+      if (error.code === 'ENOENT') return emptyData();
+      throw error;
+    }
+  };
+
+  const write = async (data) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data));
+    await fs.rename(tempPath, filePath);
+  };
+
+  let queue = Promise.resolve();
+  const update = (change) => {
+    const next = queue.then(async () => {
+      await write(change(await read()));
+    });
+    queue = next.catch(() => {});
+    return next;
+  };
+
+  return {
+    async getBookings() {
+      return Object.values((await read()).bookings);
+    },
+    async upsertBookings(items, { since } = {}) {
+      await update(data => writeBookings(data, items, { since }));
+    },
+    async replaceBookings(items, { since } = {}) {
+      await update(data => writeBookings(data, items, { replace: true, since }));
+    },
+    async getProperties() {
+      return (await read()).properties;
+    },
+    async replaceProperties(items) {
+      await update(data => ({ ...data, properties: items }));
+    },
+    async getSyncState() {
+      return (await read()).syncState;
+    },
+    async updateSyncState(changes) {
+      await update(data => ({ ...data, syncState: { ...data.syncState, ...changes } }));
+    },
+    async hasProcessedEvent(key) {
+      return (await read()).processedEvents.includes(key);
+    },
+    async markEventProcessed(key) {
+      await update(data => ({ ...data, processedEvents: rememberEvent(data.processedEvents, key) }));
+    },
+    async incrementCounter(key, windowMs, now = Date.now()) {
+      let counter;
+      await update(data => {
+        const result = countHit(data, key, windowMs, now);
+        counter = result.counter;
+        return result.data;
+      });
+      return counter;
+    },
+    async putSession(id, session, ttlSeconds, now = Date.now()) {
+      await update(data => addSession(data, id, session, ttlSeconds, now));
+    },
+    async getSession(id, now = Date.now()) {
+      return findSession(await read(), id, now);
+    },
+    async deleteSession(id) {
+      await update(data => removeSession(data, id));
+    },
+  };
+}
+
+// Keeps everything in memory; handy for local development against a stub of the Lodgify API.
+export function createMemoryStore() {
+  let data = emptyData();
+  return {
+    async getBookings() {
+      return Object.values(data.bookings);
+    },
+    async upsertBookings(items, { since } = {}) {
+      data = writeBookings(data, items, { since });
+    },
+    async replaceBookings(items, { since } = {}) {
+      data = writeBookings(data, items, { replace: true, since });
+    },
+    async getProperties() {
+      return data.properties;
+    },
+    async replaceProperties(items) {
+      data = { ...data, properties: items };
+    },
+    async getSyncState() {
+      return data.syncState;
+    },
+    async updateSyncState(changes) {
+      data = { ...data, syncState: { ...data.syncState, ...changes } };
+    },
+    async hasProcessedEvent(key) {
+      return data.processedEvents.includes(key);
+    },
+    async markEventProcessed(key) {
+      data = { ...data, processedEvents: rememberEvent(data.processedEvents, key) };
+    },
+    async incrementCounter(key, windowMs, now = Date.now()) {
+      const result = countHit(data, key, windowMs, now);
+      data = result.data;
+      return result.counter;
+    },
+    async putSession(id, session, ttlSeconds, now = Date.now()) {
+      data = addSession(data, id, session, ttlSeconds, now);
+    },
+    async getSession(id, now = Date.now()) {
+      return findSession(data, id, now);
+    },
+    async deleteSession(id) {
+      data = removeSession(data, id);
+    },
+  };
+}
+
+// How long a webhook delivery key is remembered in the KV store (30 days).
+const PROCESSED_EVENT_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Keeps everything in a Redis database reached through its REST API, as offered by Vercel KV
+// and Upstash, so every serverless instance sees the same cache. Bookings and their write
+// times live in two hashes keyed by id, the properties in one JSON value, and the sync state
+// in a hash with a JSON value per field. Writes run as transactions so readers never see a half-written cache. Checking which
+// bookings are newer than `since` is a separate read just before, so a webhook landing in
+// that moment can still be overwritten; the next sync corrects it.
+export function createKvStore({ url, token, prefix = 'lodgify' }) {
+  const keys = {
+    bookings: `${prefix}:bookings`,
+    writtenAt: `${prefix}:written-at`,
+    properties: `${prefix}:properties`,
+    syncState: `${prefix}:sync-state`,
+    event: (key) => `${prefix}:event:${key}`,
+    counter: (key) => `${prefix}:counter:${key}`,
+    session: (id) => `${prefix}:session:${id}`,
+  };
+
+  // Sends a list of Redis commands to one of the REST endpoints ('pipeline' or 'multi-exec')
+  // and returns their results in order.
+  const send = async (endpoint, commands) => {
+    const response = await fetch(`${url.replace(/\/$/, '')}/${endpoint}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(commands),
+    });
+    if (!response.ok) throw new Error(`Booking store request failed with status ${response.status}`);
+    const replies = await response.json();
+    const failed = replies.find(reply => reply.error);
+    if (failed) throw new Error(`Booking store command failed: ${failed.error}`);
+    return replies.map(reply => reply.result);
+  };
+  const command = async (...args) => (await send('pipeline', [args]))[0];
+
+  // HGETALL replies are a flat [field, value, field, value, ...] list.
+  const toEntries = (flat) => {
+    const entries = [];
+    for (let i = 0; i < (flat || []).length; i += 2) entries.push([flat[i], flat[i + 1]]);
+    return entries;
+  };
+
+  // Writes `items` in one transaction, skipping those written after `since`. `dropKeys` are
+  // removed first.
+  const writeItems = async (items, dropKeys, since) => {
+    const writtenAt = since ? Object.fromEntries(toEntries(await command('HGETALL', keys.writtenAt))) : {};
+    const isNewer = (key) => Boolean(since) && writtenAt[key] > since;
+    const fresh = items.filter(item => !isNewer(bookingKey(item)));
+    const dropped = dropKeys.filter(key => !isNewer(key));
+
+    const now = new Date().toISOString();
+    const commands = [
+      ...(dropped.length > 0 ? [['HDEL', keys.bookings, ...dropped], ['HDEL', keys.writtenAt, ...dropped]] : []),
+      ...(fresh.length > 0 ? [
+        ['HSET', keys.bookings, ...fresh.flatMap(item => [bookingKey(item), JSON.stringify(item)])],
+        ['HSET', keys.writtenAt, ...fresh.flatMap(item => [bookingKey(item), now])],
+      ] : []),
+    ];
+    if (commands.length > 0) await send('multi-exec', commands);
+  };
+
+  return {
+    async getBookings() {
+      return toEntries(await command('HGETALL', keys.bookings)).map(([, value]) => JSON.parse(value));
+    },
+    async upsertBookings(items, { since } = {}) {
+      await writeItems(items, [], since);
+    },
+    async replaceBookings(items, { since } = {}) {
+      const wanted = new Set(items.map(bookingKey));
+      const existing = (await command('HKEYS', keys.bookings)) || [];
+      await writeItems(items, existing.filter(key => !wanted.has(key)), since);
+    },
+    async getProperties() {
+      const value = await command('GET', keys.properties);
+      return value ? JSON.parse(value) : [];
+    },
+    async replaceProperties(items) {
+      await command('SET', keys.properties, JSON.stringify(items));
+    },
+    async getSyncState() {
+      return Object.fromEntries(toEntries(await command('HGETALL', keys.syncState)).map(([field, value]) => [field, JSON.parse(value)]));
+    },
+    async updateSyncState(changes) {
+      const fields = Object.entries(changes).flatMap(([field, value]) => [field, JSON.stringify(value ?? null)]);
+      if (fields.length > 0) await command('HSET', keys.syncState, ...fields);
+    },
+    async hasProcessedEvent(key) {
+      return (await command('EXISTS', keys.event(key))) === 1;
+    },
+    async markEventProcessed(key) {
+      await command('SET', keys.event(key), '1', 'EX', String(PROCESSED_EVENT_TTL_SECONDS));
+    },
+    // Redis expires the counter itself; the first hit of a window creates it with the expiry.
+    async incrementCounter(key, windowMs, now = Date.now()) {
+      const [, count, ttlMs] = await send('pipeline', [
+        ['SET', keys.counter(key), '0', 'PX', String(windowMs), 'NX'],
+        ['INCR', keys.counter(key)],
+        ['PTTL', keys.counter(key)],
+      ]);
+      return { count, resetAt: now + (ttlMs > 0 ? ttlMs : windowMs) };
+    },
+    async putSession(id, session, ttlSeconds) {
+      await command('SET', keys.session(id), JSON.stringify(session), 'EX', String(ttlSeconds));
+    },
+    async getSession(id) {
+      const value = await command('GET', keys.session(id));
+      return value ? JSON.parse(value) : null;
+    },
+    async deleteSession(id) {
+      await command('DEL', keys.session(id));
+    },
+  };
+}
+
+// Whether this is a deployment, where a store on the instance's own disk or memory would be
+// lost between requests.
+const isDeployed = () => process.env.NODE_ENV === 'production' || ['production', 'preview'].includes(process.env.VERCEL_ENV);
+
+let store = null;
+
+// Returns the configured store, shared across requests handled by the same instance.
+//   KV_REST_API_URL, KV_REST_API_TOKEN - use the KV store (set by Vercel KV; required when deployed)
+//   BOOKING_STORE=memory               - use the in-memory store
+//   BOOKING_STORE_PATH=<file>          - use the JSON file store at that path
+// Without any of these, development falls back to a JSON file in the OS temp dir. That file
+// is neither persistent nor shared on a deployment, so there it is an error instead.
+export function getBookingStore() {
+  if (!store) {
+    const { KV_REST_API_URL, KV_REST_API_TOKEN, BOOKING_STORE, BOOKING_STORE_PATH } = process.env;
+    if (KV_REST_API_URL && KV_REST_API_TOKEN) {
+      store = createKvStore({ url: KV_REST_API_URL, token: KV_REST_API_TOKEN });
+    } else if (BOOKING_STORE === 'memory') {
+      store = createMemoryStore();
+    } else if (BOOKING_STORE_PATH) {
+      store = createJsonFileStore(BOOKING_STORE_PATH);
+    } else if (isDeployed()) {
+      throw new Error("Booking store is not configured on the server. Set KV_REST_API_URL and KV_REST_API_TOKEN.");
+    } else {
+      store = createJsonFileStore(path.join(os.tmpdir(), 'lodgify-bookings.json'));
+    }
+  }
+  return store;
+}
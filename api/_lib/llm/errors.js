@@ -0,0 +1,75 @@
+// /api/_lib/llm/errors.js
+// Every provider reports failures in its own format. They are turned into errors with the
+// same fields, so the API route and the client only ever handle one shape:
+//   code      - one of ERROR_CODES
+//   provider  - which provider failed ('gemini', 'openai', 'local')
+//   status    - the provider's HTTP status, if it answered at all
+//   retryable - whether asking again later may work
+
+// The HTTP status the API route answers with for each code.
+export const ERROR_CODES = {
+  not_configured: 500,
+  auth: 502,
+  bad_request: 502,
+  rate_limited: 429,
+  unavailable: 503,
+  timeout: 504,
+  network: 502,
+  invalid_response: 502,
+};
+
+const RETRYABLE_CODES = ['rate_limited', 'unavailable', 'timeout', 'network'];
+
+// Creates an Error carrying the normalized fields.
+export const llmError = (message, { code, provider, status = null }) => Object.assign(new Error(message), {
+  code,
+  provider,
+  status,
+  retryable: RETRYABLE_CODES.includes(code),
+});
+
+// Picks the code for a provider's HTTP error status.
+const codeForStatus = (status) => {
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 408) return 'timeout';
+  if (status === 429) return 'rate_limited';
+  if (status >= 500) return 'unavailable';
+  return 'bad_request';
+};
+
+// Builds the error for a provider response that wasn't ok. Gemini, OpenAI and most local
+// servers put the message in `error.message`; some local servers use a plain `error` string.
+export const errorFromResponse = async (provider, response) => {
+  const text = await response.text().catch(() => '');
+  let message = text;
+  try {
+    const data = JSON.parse(text);
+    message = data.error?.message || (typeof data.error === 'string' ? data.error : text);
+  } catch {
+    // Not JSON; use the raw text.
+  }
+  return llmError(`${provider} API error (${response.status}): ${message || response.statusText}`, {
+    code: codeForStatus(response.status),
+    provider,
+    status: response.status,
+  });
+};
+
+// Wraps a failed fetch (no response at all) in a normalized error.
+export const errorFromFetchFailure = (provider, error) => (
+  error.name === 'TimeoutError' || error.name === 'AbortError'
+    ? llmError(`${provider} did not respond in time.`, { code: 'timeout', provider })
+    : llmError(`Could not reach ${provider}: ${error.message}`, { code: 'network', provider })
+);
+
+// The HTTP status and JSON body to answer with for any error. Errors that didn't come from a
+// provider keep the old `{ error }` body with a 500.
+export const toErrorResponse = (error) => {
+  if (!error.code || !ERROR_CODES[error.code]) {
+    return { status: 500, body: { error: error.message } };
+  }
+  return {
+    status: ERROR_CODES[error.code],
+    body: { error: error.message, code: error.code, provider: error.provider, retryable: error.retryable },
+  };
+};
@@ -0,0 +1,70 @@
+// /api/_lib/llm/event-stream.js
+// Reads a server-sent events response body, which is how both Gemini and OpenAI-compatible
+// APIs stream their output.
+
+import { errorFromFetchFailure, errorFromResponse, llmError } from './errors.js';
+
+// Calls `onData` with the `data` of every event in the stream, in order. A connection that
+// drops or times out mid-stream becomes a normalized error for `provider`.
+export async function readEventStream(provider, body, onData) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const flush = (block) => {
+    const data = block
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+      .join('\n');
+    if (data) onData(data);
+  };
+
+  const chunks = body[Symbol.asyncIterator]();
+  for (;;) {
+    let next;
+    try {
+      next = await chunks.next();
+    } catch (error) {
+      throw errorFromFetchFailure(provider, error);
+    }
+    if (next.done) break;
+
+    buffer += decoder.decode(next.value, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(flush);
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) flush(buffer);
+}
+
+// Parses the JSON `data` of one event. A malformed chunk becomes a normalized error for
+// `provider` rather than a bare SyntaxError.
+export function parseEventData(provider, data) {
+  try {
+    return JSON.parse(data);
+  } catch {
+    throw llmError(`${provider} sent a malformed response chunk.`, { code: 'invalid_response', provider });
+  }
+}
+
+// POSTs a JSON body to a streaming endpoint and returns the response once it has started.
+// Failures come back as normalized errors (see errors.js).
+export async function postForEventStream(provider, url, { headers = {}, body, timeoutMs }) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (error) {
+    throw errorFromFetchFailure(provider, error);
+  }
+
+  if (!response.ok) throw await errorFromResponse(provider, response);
+  if (!response.body) throw llmError(`${provider} returned an empty response.`, { code: 'invalid_response', provider });
+  return response;
+}
@@ -0,0 +1,85 @@
+// /api/_lib/llm/gemini.js
+// The Gemini provider, using the streaming generateContent endpoint.
+
+import { llmError } from './errors.js';
+import { parseEventData, postForEventStream, readEventStream } from './event-stream.js';
+
+// Gemini spells JSON Schema types in upper case ('OBJECT', 'STRING', ...).
+const toGeminiSchema = (schema) => {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [
+    key,
+    key === 'type' && typeof value === 'string' ? value.toUpperCase() : toGeminiSchema(value),
+  ]));
+};
+
+// Converts provider-neutral messages to Gemini `contents`. Function results go back as a
+// user turn, and consecutive turns from the same role are merged as Gemini requires.
+const toGeminiContents = (messages) => {
+  const contents = [];
+  messages.forEach(message => {
+    let turn;
+    if (message.role === 'tool') {
+      turn = { role: 'user', parts: [{ functionResponse: { name: message.name, response: message.content } }] };
+    } else if (message.role === 'assistant') {
+      turn = {
+        role: 'model',
+        parts: [
+          ...(message.content ? [{ text: message.content }] : []),
+          ...(message.toolCalls || []).map(call => ({ functionCall: { name: call.name, args: call.args } })),
+        ],
+      };
+    } else {
+      turn = { role: 'user', parts: [{ text: message.content }] };
+    }
+
+    const previous = contents[contents.length - 1];
+    if (previous && previous.role === turn.role) previous.parts.push(...turn.parts);
+    else contents.push(turn);
+  });
+  return contents;
+};
+
+export function createGeminiProvider({ apiKey, model, baseUrl, timeoutMs }) {
+  return {
+    name: 'gemini',
+    model,
+
+    async generate({ system, messages, tools = [], onText = () => {} }) {
+      const response = await postForEventStream('gemini', `${baseUrl}/models/${model}:streamGenerateContent?alt=sse`, {
+        headers: { 'x-goog-api-key': apiKey },
+        timeoutMs,
+        body: {
+          contents: toGeminiContents(messages),
+          ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+          ...(tools.length > 0 ? { tools: [{ functionDeclarations: tools.map(toGeminiSchema) }] } : {}),
+        },
+      });
+
+      let text = '';
+      const toolCalls = [];
+      await readEventStream('gemini', response.body, (data) => {
+        const chunk = parseEventData('gemini', data);
+        if (chunk.error) {
+          throw llmError(`gemini API error: ${chunk.error.message}`, { code: 'unavailable', provider: 'gemini' });
+        }
+        if (chunk.promptFeedback?.blockReason) {
+          throw llmError(`gemini blocked the request (${chunk.promptFeedback.blockReason}).`, { code: 'bad_request', provider: 'gemini' });
+        }
+
+        (chunk.candidates?.[0]?.content?.parts || []).forEach(part => {
+          if (part.functionCall) {
+            // Gemini doesn't id its function calls; results are matched by name and order.
+            toolCalls.push({ id: `call_${toolCalls.length}`, name: part.functionCall.name, args: part.functionCall.args || {} });
+          } else if (part.text && !part.thought) {
+            text += part.text;
+            onText(part.text);
+          }
+        });
+      });
+
+      return { text, toolCalls };
+    },
+  };
+}
@@ -0,0 +1,72 @@
+// /api/_lib/llm/index.js
+// Picks the language model provider from the environment. Every provider has the same
+// interface, so the analyst never deals with a vendor's request format:
+//
+//   provider.name, provider.model
+//   provider.generate({ system, messages, tools, onText }) -> { text, toolCalls }
+//
+// `messages` are provider-neutral:
+//   { role: 'user', content }
+//   { role: 'assistant', content, toolCalls?: [{ id, name, args }] }
+//   { role: 'tool', toolCallId, name, content }   - a function's result (an object)
+// `tools` are [{ name, description, parameters }] with JSON Schema parameters.
+// `onText` is called with each piece of text as it streams in.
+//
+// Configuration:
+//   LLM_PROVIDER   - 'gemini' (default), 'openai' or 'local'
+//   LLM_MODEL      - overrides the provider's default model
+//   LLM_BASE_URL   - overrides the provider's API URL (e.g. another OpenAI-compatible host)
+//   LLM_API_KEY    - overrides the provider's key variable (GEMINI_API_KEY, OPENAI_API_KEY)
+//   LLM_TIMEOUT_MS - how long one model call may take (default 120000)
+
+import { llmError } from './errors.js';
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAiProvider } from './openai.js';
+
+const DEFAULT_TIMEOUT_MS = 120000;
+
+const PROVIDERS = {
+  gemini: {
+    create: createGeminiProvider,
+    defaultModel: 'gemini-2.5-flash',
+    defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    apiKeyVariable: 'GEMINI_API_KEY',
+  },
+  openai: {
+    create: (options) => createOpenAiProvider({ ...options, name: 'openai' }),
+    defaultModel: 'gpt-4o-mini',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    apiKeyVariable: 'OPENAI_API_KEY',
+  },
+  // Ollama's OpenAI-compatible endpoint by default; local servers usually don't need a key.
+  local: {
+    create: (options) => createOpenAiProvider({ ...options, name: 'local' }),
+    defaultModel: 'llama3.1',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    apiKeyVariable: null,
+  },
+};
+
+// Returns the configured provider. Throws a 'not_configured' error if the provider is
+// unknown or its API key is missing.
+export function getLlmProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw llmError(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}.`, { code: 'not_configured', provider: name });
+  }
+
+  const apiKey = env.LLM_API_KEY || (provider.apiKeyVariable ? env[provider.apiKeyVariable] : '');
+  if (provider.apiKeyVariable && !apiKey) {
+    throw llmError(`${provider.apiKeyVariable} is not configured on the server.`, { code: 'not_configured', provider: name });
+  }
+
+  return provider.create({
+    apiKey,
+    model: env.LLM_MODEL || provider.defaultModel,
+    baseUrl: (env.LLM_BASE_URL || provider.defaultBaseUrl).replace(/\/+$/, ''),
+    timeoutMs: Number(env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+  });
+}
+
+export { toErrorResponse } from './errors.js';
@@ -0,0 +1,87 @@
+// /api/_lib/llm/openai.js
+// The provider for OpenAI's chat completions API and anything compatible with it. Local
+// model servers (Ollama, LM Studio, llama.cpp, vLLM) speak the same protocol, so the
+// 'local' provider is this one pointed at a different base URL.
+
+import { llmError } from './errors.js';
+import { parseEventData, postForEventStream, readEventStream } from './event-stream.js';
+
+// Converts provider-neutral messages to chat completion messages.
+const toOpenAiMessages = (system, messages) => [
+  ...(system ? [{ role: 'system', content: system }] : []),
+  ...messages.map(message => {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: JSON.stringify(message.content) };
+    }
+    if (message.role === 'assistant' && message.toolCalls?.length > 0) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({ id: call.id, type: 'function', function: { name: call.name, arguments: JSON.stringify(call.args) } })),
+      };
+    }
+    return { role: message.role, content: message.content };
+  }),
+];
+
+// Tool call arguments arrive as a JSON string, streamed in pieces.
+const parseArguments = (name, value, provider) => {
+  try {
+    return value ? JSON.parse(value) : {};
+  } catch {
+    throw llmError(`${provider} sent invalid arguments for "${name}".`, { code: 'invalid_response', provider });
+  }
+};
+
+export function createOpenAiProvider({ name, apiKey, model, baseUrl, timeoutMs }) {
+  return {
+    name,
+    model,
+
+    async generate({ system, messages, tools = [], onText = () => {} }) {
+      const response = await postForEventStream(name, `${baseUrl}/chat/completions`, {
+        headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+        timeoutMs,
+        body: {
+          model,
+          stream: true,
+          messages: toOpenAiMessages(system, messages),
+          ...(tools.length > 0 ? { tools: tools.map(tool => ({ type: 'function', function: tool })) } : {}),
+        },
+      });
+
+      let text = '';
+      const calls = []; // Built up by index as the pieces of each tool call arrive
+      await readEventStream(name, response.body, (data) => {
+        if (data === '[DONE]') return;
+        const chunk = parseEventData(name, data);
+        if (chunk.error) {
+          throw llmError(`${name} API error: ${chunk.error.message || chunk.error}`, { code: 'unavailable', provider: name });
+        }
+
+        const delta = chunk.choices?.[0]?.delta || {};
+        if (delta.content) {
+          text += delta.content;
+          onText(delta.content);
+        }
+        (delta.tool_calls || []).forEach(piece => {
+          const index = piece.index ?? calls.length;
+          if (!calls[index]) calls[index] = { id: '', name: '', arguments: '' };
+          const call = calls[index];
+          if (piece.id) call.id = piece.id;
+          if (piece.function?.name) call.name += piece.function.name;
+          if (piece.function?.arguments) call.arguments += piece.function.arguments;
+        });
+      });
+
+      return {
+        text,
+        toolCalls: calls.filter(Boolean).map((call, index) => ({
+          id: call.id || `call_${index}`,
+          name: call.name,
+          args: parseArguments(call.name, call.arguments, name),
+        })),
+      };
+    },
+  };
+}
@@ -0,0 +1,105 @@
+// /api/_lib/lodgify.js
+// Shared helpers for talking to the Lodgify API from the serverless functions.
+// Vercel does not expose files under /api/_lib as routes.
+
+const DEFAULT_BASE_URL = 'https://api.lodgify.com';
+
+// Lodgify caps the page size for its list endpoints, so we walk the pages.
+const PAGE_SIZE = 50;
+
+// Safety net so a misbehaving upstream can never keep the function looping.
+const MAX_PAGES = 1000;
+
+// The base URL can be overridden (e.g. to point at a local stub of the API).
+const getBaseUrl = () => (process.env.LODGIFY_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+// Makes an authenticated GET request to the Lodgify API and returns the parsed JSON.
+const lodgifyGet = async (apiKey, path, params = {}) => {
+  const response = await fetch(`${getBaseUrl()}${path}?${new URLSearchParams(params)}`, {
+    method: 'GET',
+    headers: {
+      'Accept': 'application/json',
+      'X-ApiKey': apiKey,
+    },
+  });
+
+  if (!response.ok) {
+    throw new Error(`Lodgify API Error: ${response.status} - ${await response.text()}`);
+  }
+
+  return response.json();
+};
+
+// Fetches a single page from a paginated Lodgify list endpoint.
+const fetchPage = (apiKey, path, page, extraParams = {}) => lodgifyGet(apiKey, path, {
+  page: String(page),
+  size: String(PAGE_SIZE),
+  includeCount: 'true',
+  ...extraParams,
+});
+
+// Walks every page of a Lodgify list endpoint and merges the results.
+// Returns the merged items along with the count Lodgify reported and the number of pages fetched.
+async function fetchAllPages(apiKey, path, extraParams = {}) {
+  const items = [];
+  let totalCount = null;
+  let pagesFetched = 0;
+
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const data = await fetchPage(apiKey, path, page, extraParams);
+    const pageItems = data.items || [];
+    pagesFetched++;
+    items.push(...pageItems);
+
+    if (typeof data.count === 'number') totalCount = data.count;
+
+    // Stop on a short page, or once we have everything Lodgify says exists.
+    if (pageItems.length < PAGE_SIZE) break;
+    if (totalCount !== null && items.length >= totalCount) break;
+  }
+
+  return { items, totalCount: totalCount ?? items.length, pagesFetched };
+}
+
+// Fetches every booking, including financials.
+export function fetchAllBookings(apiKey, extraParams = {}) {
+  return fetchAllPages(apiKey, '/v2/reservations/bookings', { include: 'financials', ...extraParams });
+}
+
+// Fetches a single booking by id, including financials.
+export function fetchBooking(apiKey, bookingId) {
+  return lodgifyGet(apiKey, `/v2/reservations/bookings/${encodeURIComponent(bookingId)}`, { include: 'financials' });
+}
+
+// Fetches every property on the account.
+export function fetchAllProperties(apiKey) {
+  return fetchAllPages(apiKey, '/v2/properties');
+}
+
+// Parses the filter query parameters accepted by /api/bookings.
+//   start, end  - YYYY-MM-DD, inclusive; matches stays with at least one night in the window
+//   status      - comma-separated list of Lodgify statuses, e.g. "Booked,Cancelled" (any case)
+//   propertyId  - comma-separated list of Lodgify property ids
+export function parseBookingFilters(query = {}) {
+  const list = (value) => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : []);
+  return {
+    start: query.start || null,
+    end: query.end || null,
+    statuses: list(query.status),
+    propertyIds: list(query.propertyId),
+  };
+}
+
+// Applies the filters from parseBookingFilters to a list of bookings.
+export function filterBookings(items, { start, end, statuses = [], propertyIds = [] }) {
+  return items.filter(booking => {
+    const arrival = (booking.arrival || '').slice(0, 10);
+    const departure = (booking.departure || booking.arrival || '').slice(0, 10);
+    // The departure day itself is not a night, so a stay leaving on `start` is outside the window.
+    if (start && departure <= start) return false;
+    if (end && arrival > end) return false;
+    if (statuses.length > 0 && !statuses.some(status => status.toLowerCase() === String(booking.status).toLowerCase())) return false;
+    if (propertyIds.length > 0 && !propertyIds.includes(String(booking.property_id))) return false;
+    return true;
+  });
+}
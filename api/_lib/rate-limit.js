@@ -0,0 +1,23 @@
+// /api/_lib/rate-limit.js
+// Fixed-window request counters. They are kept in the booking store, so with the KV store
+// every function instance shares them and a cold start doesn't reset them.
+
+import { getBookingStore } from './booking-store.js';
+
+// Creates a limiter allowing `limit` requests per key in every `windowMs`. `name` keeps
+// the counters of different limiters apart in the store.
+export function createRateLimiter({ name, limit, windowMs, getStore = getBookingStore }) {
+  return {
+    // Counts a request for `key`. Returns whether it is allowed and, if not, how many
+    // seconds until the window resets.
+    async hit(key, now = Date.now()) {
+      const { count, resetAt } = await getStore().incrementCounter(`${name}:${key}`, windowMs, now);
+      const allowed = count <= limit;
+      return {
+        allowed,
+        remaining: Math.max(0, limit - count),
+        retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil((resetAt - now) / 1000)),
+      };
+    },
+  };
+}
@@ -0,0 +1,65 @@
+// /api/_lib/sync.js
+// Keeps the booking store in step with Lodgify.
+//
+// The first sync (or one asked to be full) downloads every booking and replaces the cache.
+// After that, only bookings Lodgify reports as updated since the previous sync are fetched.
+// Every sync also refreshes the property list, which is short enough to download whole.
+
+import { fetchAllBookings, fetchAllProperties } from './lodgify.js';
+
+// Only one sync runs at a time per instance; concurrent callers share it.
+let syncInFlight = null;
+
+export function syncBookings(apiKey, store, { full = false } = {}) {
+  if (!syncInFlight) {
+    syncInFlight = runSync(apiKey, store, { full }).finally(() => { syncInFlight = null; });
+  }
+  return syncInFlight;
+}
+
+async function runSync(apiKey, store, { full }) {
+  const state = await store.getSyncState();
+  const mode = full || !state.lastSyncedAt ? 'full' : 'delta';
+
+  // Taken before fetching, so changes made while we page through Lodgify are picked up next time.
+  const startedAt = new Date().toISOString();
+
+  try {
+    const params = mode === 'delta' ? { updatedSince: state.lastSyncedAt } : {};
+    const { items, pagesFetched } = await fetchAllBookings(apiKey, params);
+    const properties = await fetchAllProperties(apiKey);
+
+    // Bookings a webhook wrote since we started are newer than what we fetched.
+    if (mode === 'full') {
+      await store.replaceBookings(items, { since: startedAt });
+    } else {
+      await store.upsertBookings(items, { since: startedAt });
+    }
+    // Only the id and name are used, to label and filter by property.
+    await store.replaceProperties(properties.items.map(property => ({ id: property.id, name: property.name })));
+
+    // Only this sync's own fields, so whatever a webhook recorded meanwhile stays.
+    await store.updateSyncState({
+      lastSyncedAt: startedAt,
+      ...(mode === 'full' ? { lastFullSyncAt: startedAt } : {}),
+      lastSyncMode: mode,
+      lastSyncChanged: items.length,
+      ...(mode === 'full' || items.length > 0 ? { lastChangedAt: new Date().toISOString() } : {}),
+      lastPagesFetched: pagesFetched,
+      lastError: null,
+      lastErrorAt: null,
+    });
+    return store.getSyncState();
+
+  } catch (error) {
+    // Keep the previous sync point so the next attempt covers everything this one missed.
+    await store.updateSyncState({ lastError: error.message, lastErrorAt: startedAt });
+    throw error;
+  }
+}
+
+// Makes sure the store has been filled at least once, then returns its sync state.
+export async function ensureSynced(apiKey, store) {
+  const state = await store.getSyncState();
+  return state.lastSyncedAt ? state : syncBookings(apiKey, store);
+}
@@ -0,0 +1,95 @@
+// /api/_lib/users.js
+// The people who can sign in to the dashboard.
+//
+// A user is { username, passwordHash, role, propertyIds?, name?, tokenVersion? }:
+//   role         - 'admin' sees everything; 'owner' only sees the properties in propertyIds
+//   passwordHash - from hashPassword(), e.g.
+//                  node --input-type=module -e "import('./api/_lib/users.js').then(u => console.log(u.hashPassword('secret')))"
+//   tokenVersion - a number (default 0); raising it signs the user out everywhere
+//
+// Like the booking store, a user store is any object with an async findUser(username), so
+// the JSON-backed stores below can be swapped for a database without touching the callers.
+
+import { promises as fs } from 'fs';
+import { randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+
+const ROLES = ['admin', 'owner'];
+
+// Hashes a password with scrypt and a random salt, as "scrypt$<salt>$<hash>".
+export const hashPassword = (password, salt = randomBytes(16).toString('hex')) => (
+  `scrypt$${salt}$${scryptSync(String(password), salt, 64).toString('hex')}`
+);
+
+// Checks a password against a hash from hashPassword(), in constant time.
+export const verifyPassword = (password, passwordHash) => {
+  const [scheme, salt, hash] = String(passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = scryptSync(String(password), salt, expected.length);
+  return expected.length > 0 && timingSafeEqual(expected, actual);
+};
+
+// Validates a configured user; bad entries are skipped rather than failing every sign-in.
+const normalizeUser = (user) => {
+  if (!user?.username || !user.passwordHash || !ROLES.includes(user.role)) {
+    console.error('Ignoring invalid user entry:', user?.username || user);
+    return null;
+  }
+  return {
+    username: String(user.username),
+    name: user.name || String(user.username),
+    passwordHash: user.passwordHash,
+    role: user.role,
+    propertyIds: (user.propertyIds || []).map(String),
+    tokenVersion: Number(user.tokenVersion) || 0,
+  };
+};
+
+// Finds a user by name, ignoring case.
+const findIn = (users, username) => {
+  const wanted = String(username || '').toLowerCase();
+  return users.find(user => user.username.toLowerCase() === wanted) || null;
+};
+
+// A store over a fixed list of users; handy for local development.
+export function createUserStore(users = []) {
+  const valid = users.map(normalizeUser).filter(Boolean);
+  return {
+    async findUser(username) {
+      return findIn(valid, username);
+    },
+  };
+}
+
+// Reads the users from a JSON file (an array of users) on every lookup, so edits to the
+// file apply without a redeploy.
+export function createJsonFileUserStore(filePath) {
+  return {
+    async findUser(username) {
+      const users = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      return findIn(users.map(normalizeUser).filter(Boolean), username);
+    },
+  };
+}
+
+let store = null;
+
+// Returns the configured user store.
+//   AUTH_USERS_PATH=<file> - a JSON file with the users
+//   AUTH_USERS=<json>      - the users inline, as a JSON array
+export function getUserStore() {
+  if (!store) {
+    if (process.env.AUTH_USERS_PATH) {
+      store = createJsonFileUserStore(process.env.AUTH_USERS_PATH);
+    } else {
+      let users = [];
+      try {
+        users = JSON.parse(process.env.AUTH_USERS || '[]');
+      } catch (error) {
+        console.error('AUTH_USERS is not valid JSON:', error);
+      }
+      store = createUserStore(users);
+    }
+  }
+  return store;
+}
@@ -1,41 +1,66 @@
 // /api/bookings.js
 // This file acts as a secure server-side proxy to the Lodgify API.
+// Bookings are served from the server-side cache; /api/sync keeps it up to date.
+// Requires a signed-in user; owners only get their own properties' bookings.
+// Bookings are normalized (see src/normalize.js); records that had to be fixed or left out
+// are listed in `issues`. Each booking keeps its own `currency_code`; `currency` is the one
+// most of them are in.
+//
+// Query parameters (all optional):
+//   start, end  - YYYY-MM-DD window; stays with any night inside it are returned
+//   status      - comma-separated list of statuses, e.g. "Booked,Cancelled"
+//   propertyId  - comma-separated list of Lodgify property ids
 
-export default async function handler(req, res) {
-  // Retrieve the secret API key from Vercel's environment variables.
-  const LODGIFY_API_KEY = process.env.LODGIFY_API_KEY;
-  
-  // UPDATED: Added '?include=financials' to get detailed revenue data.
-  const LODGIFY_API_URL = 'https://api.lodgify.com/v2/reservations/bookings?include=financials';
-
-  // Check if the API key is configured on the server.
-  if (!LODGIFY_API_KEY) {
-    return res.status(500).json({ error: "API key is not configured on the server." });
-  }
+import { parseBookingFilters, filterBookings } from './_lib/lodgify.js';
+import { getBookingStore } from './_lib/booking-store.js';
+import { ensureSynced } from './_lib/sync.js';
+import { canSeeProperty, requireUser, scopeBookings } from './_lib/auth.js';
+import { normalizeBookings } from '../src/normalize.js';
 
+export default async function handler(req, res) {
   try {
-    // Make the request from the server to the Lodgify API.
-    const response = await fetch(LODGIFY_API_URL, {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json',
-        'X-ApiKey': LODGIFY_API_KEY,
-      },
-    });
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    // Retrieve the secret API key from Vercel's environment variables.
+    const LODGIFY_API_KEY = process.env.LODGIFY_API_KEY;
 
-    if (!response.ok) {
-      // Pass along the error from the Lodgify API if the request fails.
-      throw new Error(`Lodgify API Error: ${response.status} - ${await response.text()}`);
+    // Check if the API key is configured on the server.
+    if (!LODGIFY_API_KEY) {
+      return res.status(500).json({ error: "API key is not configured on the server." });
     }
 
-    const data = await response.json();
-    
+    // Serve from the cache, filling it from Lodgify first if this is the very first request.
+    const store = getBookingStore();
+    const syncState = await ensureSynced(LODGIFY_API_KEY, store);
+    const cached = scopeBookings(user, await store.getBookings());
+    const { bookings: items, issues, currency } = normalizeBookings(cached);
+
+    // Lodgify can't filter by these itself, so narrow the cached bookings here.
+    const filters = parseBookingFilters(req.query);
+    if (!filters.propertyIds.every(id => canSeeProperty(user, id))) {
+      return res.status(403).json({ error: "You don't have access to that property." });
+    }
+    const filteredItems = filterBookings(items, filters);
+    // Issues without usable dates can't be placed in a range, so they are always reported.
+    const filteredIssues = issues.filter(issue => !issue.arrival || filterBookings([issue], filters).length > 0);
+
     // Send the data back to your React application.
-    res.status(200).json(data);
+    res.status(200).json({
+      items: filteredItems,
+      count: filteredItems.length,
+      issues: filteredIssues,
+      currency,
+      meta: {
+        totalCount: cached.length,
+        pagesFetched: syncState.lastPagesFetched,
+        fetchedAt: syncState.lastSyncedAt,
+        syncMode: syncState.lastSyncMode,
+      },
+    });
 
   } catch (error) {
     console.error("Error in serverless function:", error);
     res.status(500).json({ error: error.message });
   }
 }
-
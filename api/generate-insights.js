@@ -1,50 +1,128 @@
-export default async function handler(req, res) {
-  // --- NEW DEBUGGING LINES AT THE VERY TOP ---
-  console.log('--- /api/generate-insights function was invoked ---');
-  console.log(`Request Method: ${req.method}`);
+// /api/generate-insights.js
+// Answers a question about the bookings. The model is given functions to aggregate and
+// list bookings and compute KPIs; they run here against the cached bookings, so the
+// answer is based on exact numbers rather than the model's own arithmetic. The model
+// provider is chosen by configuration (see _lib/llm/index.js).
+//
+// Request body: { question, history?, startDate?, endDate?, propertyId? }
+//   history - earlier turns of the conversation as [{ role: 'user' | 'assistant', content }]
+// Response:     { answer, toolCalls: [{ name, args, result }] }
+//
+// With `Accept: text/event-stream` the answer is streamed as server-sent events instead:
+//   event: text  data: { text }               - the next piece of the answer
+//   event: tool  data: { name, args, result } - a function call the model made
+//   event: done  data: { answer, toolCalls }
+//   event: error data: { error, code, provider, retryable }
+// Errors from the model provider have that same shape in JSON responses.
+//
+// Requires a signed-in user. Owners' questions are answered from their own properties'
+// bookings only, and each user may ask INSIGHTS_RATE_LIMIT questions an hour (default 30).
+
+import { getBookingStore } from './_lib/booking-store.js';
+import { ensureSynced } from './_lib/sync.js';
+import { runAnalyst } from './_lib/analyst.js';
+import { getLlmProvider, toErrorResponse } from './_lib/llm/index.js';
+import { canSeeProperty, requireUser, scopeBookings } from './_lib/auth.js';
+import { createRateLimiter } from './_lib/rate-limit.js';
+import { getCurrencies, normalizeBookings } from '../src/normalize.js';
+
+const insightsLimiter = createRateLimiter({
+  name: 'insights',
+  limit: Number(process.env.INSIGHTS_RATE_LIMIT) || 30,
+  windowMs: 60 * 60 * 1000,
+});
 
+export default async function handler(req, res) {
   // Ensure this is a POST request
   if (req.method !== 'POST') {
     res.setHeader('Allow', 'POST');
     return res.status(405).end('Method Not Allowed');
   }
 
-  // This will show up in your Vercel logs so we can confirm the key is loaded.
-  console.log('GEMINI_API_KEY loaded:', process.env.GEMINI_API_KEY ? 'Yes' : 'No');
+  const streaming = String(req.headers?.accept || '').includes('text/event-stream');
+  // The stream only starts with the first event, so errors before it still get a proper status.
+  const sendEvent = (event, data) => {
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+      });
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-  const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
 
-  // Check if the API key is configured on the server
-  if (!GEMINI_API_KEY) {
-    return res.status(500).json({ error: 'Gemini API key is not configured on the server.' });
-  }
+    const provider = getLlmProvider();
 
-  // The Gemini API URL
-  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${GEMINI_API_KEY}`;
+    const LODGIFY_API_KEY = process.env.LODGIFY_API_KEY;
+    if (!LODGIFY_API_KEY) {
+      return res.status(500).json({ error: "API key is not configured on the server." });
+    }
 
-  try {
-    // Forward the request body from the client to the Gemini API
-    const geminiResponse = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
+    const { question, history = [], startDate = '', endDate = '', propertyId = '' } = req.body || {};
+    if (!question || !String(question).trim()) {
+      return res.status(400).json({ error: 'Please enter a question.' });
+    }
+    if (propertyId && !canSeeProperty(user, propertyId)) {
+      return res.status(403).json({ error: "You don't have access to that property." });
+    }
+
+    // Only questions that will reach the model count towards the limit.
+    const limit = await insightsLimiter.hit(user.username);
+    if (!limit.allowed) {
+      res.setHeader('Retry-After', String(limit.retryAfterSeconds));
+      return res.status(429).json({ error: `You've reached the limit of questions for now. Try again in ${Math.ceil(limit.retryAfterSeconds / 60)} minutes.`, code: 'rate_limited' });
+    }
+
+    const store = getBookingStore();
+    await ensureSynced(LODGIFY_API_KEY, store);
+    // Property names make answers readable; without them the tools fall back to ids.
+    const propertyNames = Object.fromEntries((await store.getProperties())
+      .filter(property => canSeeProperty(user, property.id))
+      .map(property => [String(property.id), property.name]));
+    // Amounts in different currencies can't be added up, so the analyst works in the main one.
+    const { bookings, currency } = normalizeBookings(scopeBookings(user, await store.getBookings()));
+    const otherCurrencies = getCurrencies(bookings).filter(code => code !== currency);
+
+    const result = await runAnalyst({
+      question: String(question).trim(),
+      history,
+      context: {
+        bookings: bookings.filter(booking => booking.currency_code === currency),
+        currency,
+        otherCurrencies,
+        startDate,
+        endDate,
+        propertyId,
+        propertyNames,
+        propertyCount: Object.keys(propertyNames).length,
       },
-      body: JSON.stringify(req.body), // Pass the client's payload through
+      provider,
+      onText: streaming ? (text) => sendEvent('text', { text }) : undefined,
+      onToolCall: streaming ? (call) => sendEvent('tool', call) : undefined,
     });
 
-    const data = await geminiResponse.json();
-
-    if (!geminiResponse.ok) {
-        console.error('Gemini API Error:', data);
-        throw new Error(data.error?.message || 'Failed to get a valid response from the Gemini API.');
+    if (streaming) {
+      sendEvent('done', result);
+      return res.end();
     }
 
-    // Send the successful response back to the client
-    res.status(200).json(data);
+    // Send the answer and the numbers behind it back to the client
+    res.status(200).json(result);
 
   } catch (error) {
-    console.error('Error proxying to Gemini API:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Error generating insights:', error);
+    const { status, body } = toErrorResponse(error);
+
+    // Once the stream has started the status is already sent, so the error goes in the stream.
+    if (res.headersSent) {
+      sendEvent('error', body);
+      return res.end();
+    }
+    res.status(status).json(body);
   }
 }
-
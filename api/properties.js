@@ -0,0 +1,33 @@
+// /api/properties.js
+// Returns the properties on the Lodgify account so the dashboard can label and filter by them.
+// They are served from the server-side cache, which each sync refreshes.
+// Owners only get their own properties.
+
+import { getBookingStore } from './_lib/booking-store.js';
+import { ensureSynced } from './_lib/sync.js';
+import { canSeeProperty, requireUser } from './_lib/auth.js';
+
+export default async function handler(req, res) {
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const LODGIFY_API_KEY = process.env.LODGIFY_API_KEY;
+
+    if (!LODGIFY_API_KEY) {
+      return res.status(500).json({ error: "API key is not configured on the server." });
+    }
+
+    const store = getBookingStore();
+    await ensureSynced(LODGIFY_API_KEY, store);
+    const properties = await store.getProperties();
+
+    res.status(200).json({
+      items: properties.filter(property => canSeeProperty(user, property.id)),
+    });
+
+  } catch (error) {
+    console.error("Error in serverless function:", error);
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,63 @@
+// /api/session.js
+// Signing in and out of the dashboard.
+//
+//   GET    /api/session  - the signed-in user, or 401
+//   POST   /api/session  - signs in with { username, password } and sets the session cookie
+//   DELETE /api/session  - signs out, ending the session on the server too
+
+import { getUserStore, verifyPassword } from './_lib/users.js';
+import { clearedSessionCookie, endSession, publicUser, requireUser, sessionCookie, startSession } from './_lib/auth.js';
+import { createRateLimiter } from './_lib/rate-limit.js';
+
+// Slows down password guessing: attempts per username and address every 15 minutes.
+const loginLimiter = createRateLimiter({ name: 'login', limit: 10, windowMs: 15 * 60 * 1000 });
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', 'GET, POST, DELETE');
+    return res.status(405).end('Method Not Allowed');
+  }
+
+  const AUTH_SECRET = process.env.AUTH_SECRET;
+  if (!AUTH_SECRET) {
+    return res.status(500).json({ error: "Authentication is not configured on the server." });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const user = await requireUser(req, res);
+      if (!user) return;
+      return res.status(200).json({ user: publicUser(user) });
+    }
+
+    if (req.method === 'DELETE') {
+      await endSession(req, { secret: AUTH_SECRET });
+      res.setHeader('Set-Cookie', clearedSessionCookie(req));
+      return res.status(200).json({ user: null });
+    }
+
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+      return res.status(400).json({ error: "Please enter your username and password." });
+    }
+
+    const address = String(req.headers['x-forwarded-for'] || req.socket?.remoteAddress || '').split(',')[0].trim();
+    const limit = await loginLimiter.hit(`${String(username).toLowerCase()}|${address}`);
+    if (!limit.allowed) {
+      res.setHeader('Retry-After', String(limit.retryAfterSeconds));
+      return res.status(429).json({ error: "Too many sign-in attempts. Please try again later." });
+    }
+
+    const user = await getUserStore().findUser(username);
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      return res.status(401).json({ error: "Incorrect username or password." });
+    }
+
+    res.setHeader('Set-Cookie', sessionCookie(req, await startSession(user, { secret: AUTH_SECRET })));
+    res.status(200).json({ user: publicUser(user) });
+
+  } catch (error) {
+    console.error("Error in session handler:", error);
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,54 @@
+// /api/sync.js
+// Sync status and manual sync of the server-side booking cache.
+//
+//   GET  /api/sync          - returns the sync state; every open dashboard polls this
+//   POST /api/sync          - fetches bookings changed since the last sync
+//   POST /api/sync?full=1   - re-downloads every booking (admins only)
+//
+// Requires a signed-in user. After a sync the response also has the number of cached
+// bookings; owners only see the count of their own.
+
+import { getBookingStore } from './_lib/booking-store.js';
+import { syncBookings } from './_lib/sync.js';
+import { requireUser, scopeBookings } from './_lib/auth.js';
+
+// The sync state plus the number of cached bookings the user can see. Counting them reads the
+// whole cache, so the GET the dashboard polls leaves the count out.
+const getStatus = async (store, user) => ({
+  ...(await store.getSyncState()),
+  bookingCount: scopeBookings(user, await store.getBookings()).length,
+});
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).end('Method Not Allowed');
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const store = getBookingStore();
+
+    if (req.method === 'GET') {
+      return res.status(200).json(await store.getSyncState());
+    }
+
+    const LODGIFY_API_KEY = process.env.LODGIFY_API_KEY;
+    if (!LODGIFY_API_KEY) {
+      return res.status(500).json({ error: "API key is not configured on the server." });
+    }
+
+    const full = req.query?.full === '1' || req.query?.full === 'true';
+    if (full && user.role !== 'admin') {
+      return res.status(403).json({ error: "Only an admin can run a full sync." });
+    }
+    await syncBookings(LODGIFY_API_KEY, store, { full });
+    res.status(200).json(await getStatus(store, user));
+
+  } catch (error) {
+    console.error("Error in serverless function:", error);
+    res.status(500).json({ error: error.message });
+  }
+}
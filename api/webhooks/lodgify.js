@@ -0,0 +1,68 @@
+// /api/webhooks/lodgify.js
+// Receives Lodgify webhooks for new, changed and cancelled bookings and applies them
+// to the server-side booking cache, so the dashboard updates without a manual refresh.
+//
+// Subscribe this URL in Lodgify and set LODGIFY_WEBHOOK_SECRET to the secret it returns.
+// Deliveries land on whichever instance is free, so when deployed the booking store has to be
+// the shared KV store (see _lib/booking-store.js) for every instance to see the change.
+
+import { getBookingStore } from '../_lib/booking-store.js';
+import { verifySignature, getDeliveryKey, applyBookingEvent } from '../_lib/webhooks.js';
+
+// The signature is computed over the raw body, so Vercel must not parse it for us.
+export const config = {
+  api: { bodyParser: false },
+};
+
+// Reads the raw request body into a Buffer.
+const readRawBody = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  return Buffer.concat(chunks);
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).end('Method Not Allowed');
+  }
+
+  const LODGIFY_API_KEY = process.env.LODGIFY_API_KEY;
+  const LODGIFY_WEBHOOK_SECRET = process.env.LODGIFY_WEBHOOK_SECRET;
+
+  if (!LODGIFY_API_KEY || !LODGIFY_WEBHOOK_SECRET) {
+    return res.status(500).json({ error: "Webhook is not configured on the server." });
+  }
+
+  try {
+    const rawBody = await readRawBody(req);
+
+    if (!verifySignature(rawBody, req.headers['ms-signature'], LODGIFY_WEBHOOK_SECRET)) {
+      return res.status(401).json({ error: "Invalid webhook signature." });
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody.toString('utf8'));
+    } catch {
+      return res.status(400).json({ error: "Webhook payload is not valid JSON." });
+    }
+
+    const store = getBookingStore();
+    const deliveryKey = getDeliveryKey(event, rawBody);
+
+    // Lodgify retries deliveries it isn't sure about; acknowledge duplicates without reapplying.
+    if (await store.hasProcessedEvent(deliveryKey)) {
+      return res.status(200).json({ status: 'duplicate' });
+    }
+
+    const applied = await applyBookingEvent(LODGIFY_API_KEY, store, event);
+    await store.markEventProcessed(deliveryKey);
+
+    res.status(200).json({ status: applied ? 'applied' : 'ignored', change: applied });
+
+  } catch (error) {
+    console.error("Error in webhook handler:", error);
+    res.status(500).json({ error: error.message });
+  }
+}
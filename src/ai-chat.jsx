@@ -0,0 +1,284 @@
+import React, { useState } from 'react';
+import { BrainCircuit, Send, Plus, Trash2, Star, Play } from 'lucide-react';
+import { useStoredState } from './use-stored-state';
+import { apiFetch } from './session';
+
+// --- Helper Functions & Constants ---
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Answers quote booking data such as guest names, so any HTML in them is escaped first and
+// shows up as text instead of running in the page.
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Simple markdown-to-HTML parser for AI insights
+export const parseMarkdown = (text) => {
+    return escapeHtml(text)
+        .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>') // Bold
+        .replace(/\*(.*?)\*/g, '<em>$1</em>')     // Italics
+        .replace(/^- (.*)/gm, '<li class="ml-4 list-disc">$1</li>') // List items
+        .replace(/\n/g, '<br />'); // NEW: Convert newlines to line breaks
+};
+
+// localStorage keys. Each signed-in user gets their own, since answers can hold bookings
+// other users of the same browser may not see.
+const storageKey = (name, user) => (user ? `${name}:${user.username}` : name);
+const CONVERSATIONS_KEY = 'lodgify-ai-conversations';
+const SAVED_QUESTIONS_KEY = 'lodgify-ai-saved-questions';
+
+// Only the most recent conversations are kept in localStorage.
+const MAX_STORED_CONVERSATIONS = 20;
+
+// How often a scheduled question falls due, in days.
+const SCHEDULES = {
+    none: { label: 'Not scheduled', days: null },
+    daily: { label: 'Daily', days: 1 },
+    weekly: { label: 'Weekly', days: 7 },
+    monthly: { label: 'Monthly', days: 30 },
+};
+
+// Seeded into the library the first time it's opened.
+const DEFAULT_SAVED_QUESTIONS = [
+    { id: 'weekly-changes', question: 'What changed this week? Compare new bookings, cancellations, nights and revenue with the previous week.', schedule: 'weekly', lastRunAt: null },
+];
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Whether a scheduled question is due to be run again.
+const isDue = (saved) => {
+    const days = SCHEDULES[saved.schedule]?.days;
+    if (!days) return false;
+    if (!saved.lastRunAt) return true;
+    return Date.now() - new Date(saved.lastRunAt).getTime() >= days * 24 * 3600 * 1000;
+};
+
+// Earlier turns of a conversation in the shape the insights API expects.
+const toHistory = (messages) => messages.map(message => ({ role: message.role, content: message.text }));
+
+// The message to show for an error from the insights API.
+const describeError = (data, status) => {
+    const message = data?.error || `Insights API error: ${status}`;
+    return data?.retryable ? `${message} Please try again in a moment.` : message;
+};
+
+// Reads a streamed answer, calling `onEvent(event, data)` for each server-sent event.
+const readAnswerStream = async (response, onEvent) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const handleBlock = (block) => {
+        const event = (block.match(/^event: (.*)$/m) || [])[1] || 'message';
+        const data = block.split('\n').filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n');
+        if (data) onEvent(event, JSON.parse(data));
+    };
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        blocks.forEach(handleBlock);
+    }
+    if (buffer.trim()) handleBlock(buffer);
+};
+
+
+// --- AI Chat Component ---
+// A chat with the AI analyst about the bookings in the selected range. Conversations and
+// the library of saved questions are kept in localStorage, per user.
+export default function AiChat({ user, startDate, endDate, propertyId, hasBookings }) {
+    const [conversations, setConversations] = useStoredState(storageKey(CONVERSATIONS_KEY, user), []);
+    const [savedQuestions, setSavedQuestions] = useStoredState(storageKey(SAVED_QUESTIONS_KEY, user), DEFAULT_SAVED_QUESTIONS);
+    const [activeConversationId, setActiveConversationId] = useState(() => conversations[0]?.id || null);
+    const [userQuestion, setUserQuestion] = useState(''); // State for the user's question
+    const [isGeneratingInsights, setIsGeneratingInsights] = useState(false);
+    const [insightsError, setInsightsError] = useState(null);
+    const [streamingText, setStreamingText] = useState(''); // The answer so far, while it streams in
+
+    const activeConversation = conversations.find(c => c.id === activeConversationId) || null;
+    const messages = activeConversation?.messages || [];
+
+    // Applies a change to one conversation, keeping the most recently used first.
+    const updateConversation = (id, change) => {
+        setConversations(current => {
+            const existing = current.find(c => c.id === id);
+            const updated = change(existing);
+            return [updated, ...current.filter(c => c.id !== id)].slice(0, MAX_STORED_CONVERSATIONS);
+        });
+    };
+
+    // Sends a question, continuing the given conversation or starting a new one.
+    const ask = async (question, { conversationId = activeConversationId } = {}) => {
+        if (!hasBookings) {
+            setInsightsError("No booking data available in the selected date range to analyze.");
+            return false;
+        }
+
+        const conversation = conversations.find(c => c.id === conversationId);
+        const id = conversation?.id || newId();
+        const history = toHistory(conversation?.messages || []);
+        const userMessage = { role: 'user', text: question, createdAt: new Date().toISOString() };
+
+        setActiveConversationId(id);
+        updateConversation(id, existing => ({
+            id,
+            title: existing?.title || question.slice(0, 60),
+            createdAt: existing?.createdAt || userMessage.createdAt,
+            messages: [...(existing?.messages || []), userMessage],
+        }));
+        setIsGeneratingInsights(true);
+        setInsightsError(null);
+
+        try {
+            // The server has the booking data; we only send the conversation and what's selected.
+            const response = await apiFetch('/api/generate-insights', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+                body: JSON.stringify({ question, history, startDate, endDate, propertyId }),
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => null);
+                throw new Error(describeError(errorData, response.status));
+            }
+
+            // The answer streams in token by token; a plain JSON response is handled too.
+            let result = null;
+            if ((response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+                await readAnswerStream(response, (event, data) => {
+                    if (event === 'text') setStreamingText(text => text + data.text);
+                    if (event === 'error') throw new Error(describeError(data));
+                    if (event === 'done') result = data;
+                });
+            } else {
+                result = await response.json();
+            }
+            if (!result?.answer) throw new Error("Received an empty response from the AI.");
+
+            updateConversation(id, existing => ({
+                ...existing,
+                messages: [...existing.messages, { role: 'assistant', text: result.answer, toolCalls: result.toolCalls || [], createdAt: new Date().toISOString() }],
+            }));
+            return true;
+
+        } catch (err) {
+            console.error("Error generating insights:", err);
+            setInsightsError(`Failed to get an answer. ${err.message}`);
+            // Drop the unanswered question so the history stays a clean back-and-forth.
+            updateConversation(id, existing => ({ ...existing, messages: existing.messages.filter(m => m !== userMessage) }));
+            return false;
+        } finally {
+            setIsGeneratingInsights(false);
+            setStreamingText('');
+        }
+    };
+
+    const handleAskAI = async (e) => {
+        e.preventDefault();
+        const question = userQuestion.trim();
+        if (!question) {
+            setInsightsError("Please enter a question.");
+            return;
+        }
+        if (await ask(question)) setUserQuestion(''); // Clear the input field
+    };
+
+    // Saved questions always run in a fresh conversation, against the current date range.
+    const runSavedQuestion = async (saved) => {
+        const ran = await ask(saved.question, { conversationId: null });
+        if (ran) setSavedQuestions(current => current.map(s => (s.id === saved.id ? { ...s, lastRunAt: new Date().toISOString() } : s)));
+    };
+
+    const saveCurrentQuestion = () => {
+        const question = userQuestion.trim();
+        if (!question || savedQuestions.some(s => s.question === question)) return;
+        setSavedQuestions(current => [...current, { id: newId(), question, schedule: 'none', lastRunAt: null }]);
+    };
+
+    const deleteConversation = (id) => {
+        setConversations(current => current.filter(c => c.id !== id));
+        if (id === activeConversationId) setActiveConversationId(null);
+    };
+
+    return (
+        <div className="p-6 bg-white border rounded-xl shadow">
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                <div className="flex items-center"><BrainCircuit className="w-8 h-8 text-purple-600" /><h2 className="ml-3 text-2xl font-bold text-gray-800">Ask a Question About Your Bookings</h2></div>
+                <div className="flex items-center gap-2">
+                    <select value={activeConversationId || ''} onChange={e => setActiveConversationId(e.target.value || null)} className="max-w-xs px-2 py-1 text-sm border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500">
+                        <option value="">New conversation</option>
+                        {conversations.map(c => <option key={c.id} value={c.id}>{c.title}</option>)}
+                    </select>
+                    <button onClick={() => setActiveConversationId(null)} className="p-1 text-gray-600 rounded hover:bg-gray-100" title="New conversation"><Plus className="w-5 h-5" /></button>
+                    {activeConversation && <button onClick={() => deleteConversation(activeConversation.id)} className="p-1 text-gray-600 rounded hover:bg-gray-100" title="Delete conversation"><Trash2 className="w-5 h-5" /></button>}
+                </div>
+            </div>
+
+            <div className="p-4 space-y-4 bg-gray-50 rounded-lg min-h-[150px] max-h-[480px] overflow-y-auto">
+                {messages.map((message, index) => (
+                    <div key={index} className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+                        {message.role === 'user'
+                            ? <div className="max-w-[80%] px-4 py-2 text-sm text-white bg-purple-600 rounded-lg">{message.text}</div>
+                            : <div className="max-w-[90%] px-4 py-2 bg-white border rounded-lg prose prose-sm"><div dangerouslySetInnerHTML={{ __html: parseMarkdown(message.text) }} />{message.toolCalls?.length > 0 && <ToolCallDetails toolCalls={message.toolCalls} />}</div>}
+                    </div>
+                ))}
+                {isGeneratingInsights && (streamingText
+                    ? <div className="flex justify-start"><div className="max-w-[90%] px-4 py-2 bg-white border rounded-lg prose prose-sm" dangerouslySetInnerHTML={{ __html: parseMarkdown(streamingText) }} /></div>
+                    : <p className="text-gray-500">The AI is thinking...</p>)}
+                {insightsError && <p className="text-red-600">{insightsError}</p>}
+                {messages.length === 0 && !isGeneratingInsights && !insightsError && <p className="text-gray-500">Ask a question like "How many bookings did I get from Airbnb?" or "What was my total revenue in October?" for the selected date range. Follow-up questions keep the context of the conversation.</p>}
+            </div>
+
+            <form onSubmit={handleAskAI} className="flex items-center gap-2 mt-4">
+                <input type="text" value={userQuestion} onChange={e => setUserQuestion(e.target.value)} placeholder={messages.length > 0 ? 'Ask a follow-up...' : 'Ask your question...'} className="flex-grow w-full px-3 py-2 text-gray-800 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500" />
+                <button type="button" onClick={saveCurrentQuestion} disabled={!userQuestion.trim()} className="p-2 text-gray-600 bg-white border border-gray-300 rounded-lg shadow-sm hover:bg-gray-50 disabled:text-gray-300 disabled:cursor-not-allowed" title="Save question"><Star className="w-4 h-4" /></button>
+                <button type="submit" disabled={isGeneratingInsights} className="px-4 py-2 font-semibold text-white bg-purple-600 rounded-lg shadow-md hover:bg-purple-700 disabled:bg-purple-300 disabled:cursor-not-allowed flex items-center"><Send className="w-4 h-4 mr-2" />{isGeneratingInsights ? 'Asking...' : 'Ask'}</button>
+            </form>
+
+            <SavedQuestions
+                savedQuestions={savedQuestions}
+                isBusy={isGeneratingInsights}
+                onRun={runSavedQuestion}
+                onScheduleChange={(id, schedule) => setSavedQuestions(current => current.map(s => (s.id === id ? { ...s, schedule } : s)))}
+                onDelete={(id) => setSavedQuestions(current => current.filter(s => s.id !== id))}
+            />
+        </div>
+    );
+}
+
+// The library of saved questions; scheduled ones are flagged when they're due
+const SavedQuestions = ({ savedQuestions, isBusy, onRun, onScheduleChange, onDelete }) => (
+    <div className="mt-6">
+        <h3 className="mb-2 text-sm font-semibold text-gray-700">Saved Questions</h3>
+        {savedQuestions.length === 0 && <p className="text-sm text-gray-500">Use the star next to the question box to save a question you ask often.</p>}
+        <ul className="divide-y divide-gray-200">
+            {savedQuestions.map(saved => (
+                <li key={saved.id} className="flex flex-wrap items-center gap-2 py-2">
+                    <span className="flex-grow text-sm text-gray-800">{saved.question}</span>
+                    {isDue(saved) && <span className="px-2 text-xs font-semibold leading-5 text-amber-800 bg-amber-100 rounded-full">Due</span>}
+                    {saved.lastRunAt && <span className="text-xs text-gray-400">Last run {new Date(saved.lastRunAt).toLocaleDateString()}</span>}
+                    <select value={saved.schedule} onChange={e => onScheduleChange(saved.id, e.target.value)} className="px-2 py-1 text-xs border border-gray-300 rounded-md">
+                        {Object.entries(SCHEDULES).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                    <button onClick={() => onRun(saved)} disabled={isBusy} className="flex items-center px-2 py-1 text-xs font-semibold text-purple-700 bg-purple-50 rounded hover:bg-purple-100 disabled:text-purple-300 disabled:cursor-not-allowed"><Play className="w-3 h-3 mr-1" />Run</button>
+                    <button onClick={() => onDelete(saved.id)} className="p-1 text-gray-500 rounded hover:bg-gray-100" title="Remove saved question"><Trash2 className="w-4 h-4" /></button>
+                </li>
+            ))}
+        </ul>
+    </div>
+);
+
+// The functions the AI called for an answer, with the exact numbers they returned
+const ToolCallDetails = ({ toolCalls }) => (
+    <details className="mt-4 not-prose">
+        <summary className="text-xs font-medium text-gray-500 cursor-pointer">Numbers behind this answer ({toolCalls.length} {toolCalls.length === 1 ? 'calculation' : 'calculations'})</summary>
+        {toolCalls.map((call, index) => (
+            <div key={index} className="mt-2">
+                <p className="text-xs font-semibold text-gray-700">{call.name}({Object.entries(call.args).map(([key, value]) => `${key}: ${value}`).join(', ')})</p>
+                <pre className="p-2 mt-1 overflow-x-auto text-xs text-gray-700 bg-white border rounded">{JSON.stringify(call.result, null, 2)}</pre>
+            </div>
+        ))}
+    </details>
+);
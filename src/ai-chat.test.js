@@ -0,0 +1,13 @@
+import { parseMarkdown } from './ai-chat';
+
+describe('parseMarkdown', () => {
+    test('renders bold, italics, list items and line breaks', () => {
+        expect(parseMarkdown('**Revenue** is *up*\n- Airbnb')).toBe('<strong>Revenue</strong> is <em>up</em><br /><li class="ml-4 list-disc">Airbnb</li>');
+    });
+
+    test('escapes HTML from the answer, e.g. a guest name', () => {
+        expect(parseMarkdown('Guest **<img src=x onerror="alert(1)">** & Co\'s')).toBe(
+            'Guest <strong>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</strong> &amp; Co&#39;s'
+        );
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * @jest-environment ./src/api/test-environment.js
+ */
+import { MAX_TOOL_ROUNDS, runAnalyst } from '../../api/_lib/analyst';
+import { runTool } from '../../api/_lib/analyst-tools';
+
+// Three confirmed stays in March 2024 over two properties, one of them running into April,
+// and one cancellation.
+const CONTEXT = {
+    bookings: [
+        { id: 1, property_id: 101, arrival: '2024-03-01', departure: '2024-03-04', total_amount: 300, source: 'Airbnb', status: 'Booked', creation_date: '2024-02-01T00:00:00.000Z' },
+        { id: 2, property_id: 102, arrival: '2024-03-10', departure: '2024-03-12', total_amount: 250, source: 'Direct', status: 'Booked', creation_date: '2024-03-01T00:00:00.000Z' },
+        { id: 3, property_id: 101, arrival: '2024-03-30', departure: '2024-04-03', total_amount: 400, source: 'Airbnb', status: 'Booked', creation_date: '2024-03-20T00:00:00.000Z' },
+        { id: 4, property_id: 102, arrival: '2024-03-20', departure: '2024-03-25', total_amount: 500, source: 'Airbnb', status: 'Cancelled', creation_date: '2024-03-05T00:00:00.000Z' },
+    ],
+    startDate: '2024-03-01',
+    endDate: '2024-03-31',
+    propertyId: null,
+    propertyNames: { 101: 'Beach House', 102: 'Cabin' },
+    propertyCount: 2,
+    currency: 'USD',
+};
+
+// A provider that plays back one scripted reply per round and records what it was sent.
+// Each reply is { text, toolCalls }.
+const scriptedProvider = (replies) => {
+    const rounds = [];
+    return {
+        name: 'scripted',
+        rounds,
+        async generate({ messages, onText }) {
+            rounds.push(JSON.parse(JSON.stringify(messages)));
+            const reply = replies[Math.min(rounds.length - 1, replies.length - 1)];
+            if (reply.text) onText(reply.text);
+            return { text: reply.text || '', toolCalls: reply.toolCalls || [] };
+        },
+    };
+};
+
+describe('runAnalyst', () => {
+    test('feeds function results into the next round', async () => {
+        const provider = scriptedProvider([
+            { toolCalls: [{ id: 'call-1', name: 'compute_kpis', args: {} }] },
+            { text: 'Revenue was **$750**.' },
+        ]);
+        const onToolCall = jest.fn();
+
+        const result = await runAnalyst({ question: 'What was revenue?', context: CONTEXT, provider, onToolCall });
+
+        expect(result.answer).toBe('Revenue was **$750**.');
+        expect(result.toolCalls).toHaveLength(1);
+        expect(result.toolCalls[0].result.total_revenue).toBe(750);
+        expect(onToolCall).toHaveBeenCalledWith(result.toolCalls[0]);
+
+        const [first, second] = provider.rounds;
+        expect(first).toEqual([{ role: 'user', content: 'What was revenue?' }]);
+        expect(second[1]).toEqual({ role: 'assistant', content: '', toolCalls: [{ id: 'call-1', name: 'compute_kpis', args: {} }] });
+        expect(second[2]).toEqual({ role: 'tool', toolCallId: 'call-1', name: 'compute_kpis', content: result.toolCalls[0].result });
+    });
+
+    test('answers an unknown function with an error the model can read', async () => {
+        const provider = scriptedProvider([
+            { toolCalls: [{ id: 'call-1', name: 'delete_bookings', args: {} }] },
+            { text: 'I cannot do that.' },
+        ]);
+
+        const result = await runAnalyst({ question: 'Delete everything', context: CONTEXT, provider });
+
+        expect(result.toolCalls[0].result).toEqual({ error: 'Unknown function "delete_bookings".' });
+        expect(provider.rounds[1][2].content).toEqual({ error: 'Unknown function "delete_bookings".' });
+    });
+
+    test('gives up after MAX_TOOL_ROUNDS rounds of function calls', async () => {
+        const provider = scriptedProvider([{ toolCalls: [{ id: 'call', name: 'compute_kpis', args: {} }] }]);
+
+        await expect(runAnalyst({ question: 'Loop', context: CONTEXT, provider }))
+            .rejects.toMatchObject({ code: 'invalid_response', provider: 'scripted' });
+        expect(provider.rounds).toHaveLength(MAX_TOOL_ROUNDS);
+    });
+
+    test('rejects an empty answer', async () => {
+        const provider = scriptedProvider([{ text: '   ' }]);
+        await expect(runAnalyst({ question: 'Hello?', context: CONTEXT, provider })).rejects.toMatchObject({ code: 'invalid_response' });
+    });
+});
+
+describe('analyst tools', () => {
+    test('compute_kpis returns the dashboard KPIs for the range', () => {
+        expect(runTool('compute_kpis', {}, CONTEXT)).toEqual({
+            range: { start_date: '2024-03-01', end_date: '2024-03-31' },
+            total_revenue: 750, // 300 + 250 + two of booking 3's four nights (200)
+            total_bookings: 3,
+            total_nights: 7,
+            available_nights: 62,
+            occupancy_rate_percent: 11.29,
+            revpar: 12.1,
+            avg_nightly_rate: 107.14,
+            avg_booking_value: 316.67,
+            avg_length_of_stay_nights: 3,
+            avg_lead_time_days: 16,
+            cancellation_rate_percent: 25,
+        });
+    });
+
+    test('aggregate_bookings groups confirmed bookings, prorated to the range', () => {
+        expect(runTool('aggregate_bookings', { group_by: 'property' }, CONTEXT).groups).toEqual([
+            { group: 'Beach House', bookings: 2, nights: 5, revenue: 500, adr: 100 },
+            { group: 'Cabin', bookings: 1, nights: 2, revenue: 250, adr: 125 },
+        ]);
+        expect(runTool('aggregate_bookings', { group_by: 'channel', end_date: '2024-03-15' }, CONTEXT).groups).toEqual([
+            { group: 'Airbnb', bookings: 1, nights: 3, revenue: 300, adr: 100 },
+            { group: 'Direct', bookings: 1, nights: 2, revenue: 250, adr: 125 },
+        ]);
+        expect(() => runTool('aggregate_bookings', { group_by: 'guest' }, CONTEXT)).toThrow(/group_by/);
+    });
+});
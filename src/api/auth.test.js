@@ -0,0 +1,160 @@
+/**
+ * @jest-environment ./src/api/test-environment.js
+ */
+import bookingsHandler from '../../api/bookings';
+import sessionHandler from '../../api/session';
+import { canSeeProperty, createSessionToken, getSessionUser, readSessionToken, scopeBookings, startSession } from '../../api/_lib/auth';
+import { createMemoryStore } from '../../api/_lib/booking-store';
+import { createUserStore, hashPassword, verifyPassword } from '../../api/_lib/users';
+import { callHandler, signIn, startLodgifyStub } from './test-utils';
+
+const SECRET = 'test-secret';
+const DAY_MS = 24 * 3600 * 1000;
+
+const USERS = [
+    { username: 'admin', role: 'admin', passwordHash: hashPassword('admin-password') },
+    { username: 'ana', name: 'Ana', role: 'owner', propertyIds: [101], passwordHash: hashPassword('ana-password') },
+    { username: 'bo', role: 'owner', propertyIds: ['102'], passwordHash: hashPassword('bo-password') },
+];
+
+const BOOKINGS = [
+    { id: 1, property_id: 101, arrival: '2024-03-01', departure: '2024-03-04', total_amount: 300, currency_code: 'USD', status: 'Booked' },
+    { id: 2, property_id: 102, arrival: '2024-03-05', departure: '2024-03-07', total_amount: 200, currency_code: 'USD', status: 'Booked' },
+];
+
+describe('session tokens', () => {
+    test('carry the session id until they expire', () => {
+        const now = Date.now();
+        const token = createSessionToken('session-1', SECRET, now);
+        expect(readSessionToken(token, SECRET, now)).toBe('session-1');
+        expect(readSessionToken(token, SECRET, now + 7 * DAY_MS - 1000)).toBe('session-1');
+        expect(readSessionToken(token, SECRET, now + 7 * DAY_MS)).toBeNull();
+    });
+
+    test('are rejected when tampered with or signed with another secret', () => {
+        const token = createSessionToken('session-1', SECRET);
+        const [payload, signature] = token.split('.');
+        const otherPayload = Buffer.from(JSON.stringify({ sid: 'session-2', exp: 9999999999 })).toString('base64url');
+        const flipped = `${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`;
+
+        expect(readSessionToken(`${payload}.${flipped}`, SECRET)).toBeNull();
+        expect(readSessionToken(`${otherPayload}.${signature}`, SECRET)).toBeNull();
+        expect(readSessionToken(token, 'other-secret')).toBeNull();
+        expect(readSessionToken(payload, SECRET)).toBeNull();
+        expect(readSessionToken(undefined, SECRET)).toBeNull();
+    });
+});
+
+describe('passwords', () => {
+    test('verify against their own hash only', () => {
+        const hash = hashPassword('correct horse');
+        expect(hash).toMatch(/^scrypt\$[0-9a-f]+\$[0-9a-f]+$/);
+        expect(verifyPassword('correct horse', hash)).toBe(true);
+        expect(verifyPassword('wrong horse', hash)).toBe(false);
+        expect(hashPassword('correct horse')).not.toBe(hash);
+    });
+
+    test('never verify against a malformed hash', () => {
+        expect(verifyPassword('secret', undefined)).toBe(false);
+        expect(verifyPassword('secret', 'secret')).toBe(false);
+        expect(verifyPassword('secret', 'bcrypt$salt$abcd')).toBe(false);
+        expect(verifyPassword('secret', 'scrypt$salt$')).toBe(false);
+    });
+});
+
+describe('property access', () => {
+    const users = createUserStore(USERS);
+
+    test('admins see every property', async () => {
+        const admin = await users.findUser('ADMIN');
+        expect(canSeeProperty(admin, 999)).toBe(true);
+        expect(scopeBookings(admin, BOOKINGS)).toEqual(BOOKINGS);
+    });
+
+    test("owners see their own properties' bookings only", async () => {
+        const ana = await users.findUser('ana');
+        expect(canSeeProperty(ana, 101)).toBe(true);
+        expect(canSeeProperty(ana, '101')).toBe(true);
+        expect(canSeeProperty(ana, 102)).toBe(false);
+        expect(scopeBookings(ana, BOOKINGS).map(b => b.id)).toEqual([1]);
+    });
+});
+
+describe('getSessionUser', () => {
+    const requestWith = (token) => ({ headers: { cookie: `other=%E0%A4%A; lodgify_session=${token}` } });
+
+    test('ends the session when the role or tokenVersion changes', async () => {
+        const sessionStore = createMemoryStore();
+        const token = await startSession(await createUserStore(USERS).findUser('ana'), { secret: SECRET, sessionStore });
+        const lookUp = (changes) => getSessionUser(requestWith(token), {
+            secret: SECRET,
+            sessionStore,
+            store: createUserStore(USERS.map(user => (user.username === 'ana' ? { ...user, ...changes } : user))),
+        });
+
+        expect((await lookUp({})).username).toBe('ana');
+        expect(await lookUp({ role: 'admin' })).toBeNull();
+        expect(await lookUp({ tokenVersion: 1 })).toBeNull();
+    });
+
+    test('skips cookies that are not valid percent-encoding', async () => {
+        const request = { headers: { cookie: 'other=%E0%A4%A' } };
+        await expect(getSessionUser(request, { secret: SECRET, sessionStore: createMemoryStore(), store: createUserStore(USERS) })).resolves.toBeNull();
+    });
+});
+
+describe('/api/bookings access', () => {
+    let stub;
+
+    beforeAll(async () => {
+        stub = await startLodgifyStub({ bookings: BOOKINGS });
+        Object.assign(process.env, {
+            LODGIFY_API_KEY: 'test-key',
+            LODGIFY_API_BASE_URL: stub.url,
+            BOOKING_STORE: 'memory',
+            AUTH_SECRET: SECRET,
+            AUTH_USERS: JSON.stringify(USERS),
+        });
+    });
+
+    afterAll(() => stub.close());
+
+    const getBookings = (cookie, query = {}) => callHandler(bookingsHandler, { query, headers: cookie ? { cookie } : {} });
+
+    test('needs a session', async () => {
+        expect((await getBookings()).statusCode).toBe(401);
+        expect((await getBookings('other=%E0%A4%A')).statusCode).toBe(401);
+    });
+
+    test('keeps owners to their own properties', async () => {
+        const cookie = await signIn(sessionHandler, 'ana', 'ana-password');
+
+        const own = await getBookings(`other=%E0%A4%A; ${cookie}`);
+        expect(own.statusCode).toBe(200);
+        expect(own.body.items.map(b => b.id)).toEqual([1]);
+
+        const other = await getBookings(cookie, { propertyId: '102' });
+        expect(other.statusCode).toBe(403);
+    });
+
+    test('signing out ends the session on the server', async () => {
+        const cookie = await signIn(sessionHandler, 'bo', 'bo-password');
+        expect((await getBookings(cookie)).statusCode).toBe(200);
+
+        const signOut = await callHandler(sessionHandler, { method: 'DELETE', headers: { cookie } });
+        expect(signOut.statusCode).toBe(200);
+        expect(signOut.headers['set-cookie']).toMatch(/^lodgify_session=;.*Max-Age=0/);
+
+        // The old cookie no longer works, even if the browser kept it.
+        expect((await getBookings(cookie)).statusCode).toBe(401);
+    });
+
+    test('limits sign-in attempts', async () => {
+        const attempt = () => callHandler(sessionHandler, { method: 'POST', body: { username: 'admin', password: 'guess' } });
+        for (let i = 0; i < 10; i++) expect((await attempt()).statusCode).toBe(401);
+
+        const blocked = await attempt();
+        expect(blocked.statusCode).toBe(429);
+        expect(Number(blocked.headers['retry-after'])).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,152 @@
+/**
+ * @jest-environment ./src/api/test-environment.js
+ */
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJsonFileStore, createKvStore, createMemoryStore } from '../../api/_lib/booking-store';
+import { startKvStub } from './test-utils';
+
+let kv;
+let tempDir;
+
+beforeAll(async () => {
+    kv = await startKvStub();
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'booking-store-'));
+});
+
+afterAll(async () => {
+    await kv.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+// Every store has to behave the same, so they all run the same tests.
+const STORES = [
+    ['memory', () => createMemoryStore()],
+    ['JSON file', () => createJsonFileStore(path.join(tempDir, `${Math.random()}.json`))],
+    ['KV', () => createKvStore({ url: kv.url, token: kv.token, prefix: String(Math.random()) })],
+];
+
+describe.each(STORES)('%s store', (name, createStore) => {
+    const ids = async (store) => (await store.getBookings()).map(b => b.id).sort();
+
+    test('starts out empty', async () => {
+        const store = createStore();
+        expect(await store.getBookings()).toEqual([]);
+        expect(await store.getProperties()).toEqual([]);
+        expect(await store.getSyncState()).toEqual({});
+    });
+
+    test('upserts bookings by id and replaces them all', async () => {
+        const store = createStore();
+        await store.upsertBookings([{ id: 1, status: 'Booked' }, { id: 2, status: 'Booked' }]);
+        await store.upsertBookings([{ id: '2', status: 'Cancelled' }, { id: 3, status: 'Booked' }]);
+        expect(await ids(store)).toEqual([1, '2', 3]);
+        expect((await store.getBookings()).find(b => String(b.id) === '2').status).toBe('Cancelled');
+
+        await store.replaceBookings([{ id: 4 }]);
+        expect(await ids(store)).toEqual([4]);
+        await store.replaceBookings([]);
+        expect(await store.getBookings()).toEqual([]);
+    });
+
+    test('replaces the properties', async () => {
+        const store = createStore();
+        await store.replaceProperties([{ id: 101, name: 'Garden Cottage' }, { id: 102, name: 'Lakeside Loft' }]);
+        await store.replaceProperties([{ id: 102, name: 'Lakeside Loft' }]);
+        expect(await store.getProperties()).toEqual([{ id: 102, name: 'Lakeside Loft' }]);
+    });
+
+    // Bookings 1 and 2 are cached, then a webhook cancels 2 and adds 3 after `since`.
+    const writeDuringSync = async (store) => {
+        await store.replaceBookings([{ id: 1, status: 'Booked' }, { id: 2, status: 'Booked' }]);
+        const since = new Date().toISOString();
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await store.upsertBookings([{ id: 2, status: 'Cancelled' }, { id: 3, status: 'Booked' }]);
+        return since;
+    };
+    const statuses = async (store) => Object.fromEntries((await store.getBookings()).map(b => [b.id, b.status]));
+
+    test('upserts with `since` leave newer bookings alone', async () => {
+        const store = createStore();
+        const since = await writeDuringSync(store);
+        await store.upsertBookings([{ id: 1, status: 'Declined' }, { id: 2, status: 'Booked' }], { since });
+        expect(await statuses(store)).toEqual({ 1: 'Declined', 2: 'Cancelled', 3: 'Booked' });
+    });
+
+    test('replacing with `since` keeps newer bookings', async () => {
+        const store = createStore();
+        const since = await writeDuringSync(store);
+        await store.replaceBookings([{ id: 2, status: 'Booked' }, { id: 4, status: 'Booked' }], { since });
+        expect(await statuses(store)).toEqual({ 2: 'Cancelled', 3: 'Booked', 4: 'Booked' });
+    });
+
+    test('merges sync state changes and remembers webhook deliveries', async () => {
+        const store = createStore();
+        await store.updateSyncState({ lastSyncedAt: '2024-01-01T00:00:00.000Z', lastError: 'Timed out' });
+        await store.updateSyncState({ lastWebhookAt: '2024-01-02T00:00:00.000Z', lastError: null });
+        expect(await store.getSyncState()).toEqual({ lastSyncedAt: '2024-01-01T00:00:00.000Z', lastWebhookAt: '2024-01-02T00:00:00.000Z', lastError: null });
+
+        expect(await store.hasProcessedEvent('delivery-1')).toBe(false);
+        await store.markEventProcessed('delivery-1');
+        expect(await store.hasProcessedEvent('delivery-1')).toBe(true);
+    });
+
+    test('counts hits in fixed windows', async () => {
+        const store = createStore();
+        const now = Date.now();
+        const first = await store.incrementCounter('login:ana', 60000, now);
+        const second = await store.incrementCounter('login:ana', 60000, now);
+        expect([first.count, second.count]).toEqual([1, 2]);
+        expect(second.resetAt).toBeGreaterThan(now + 50000);
+        expect(second.resetAt).toBeLessThanOrEqual(now + 60000 + 50);
+        expect((await store.incrementCounter('login:bo', 60000, now)).count).toBe(1);
+    });
+
+    test('saves sessions until they are deleted', async () => {
+        const store = createStore();
+        await store.putSession('abc', { username: 'ana', role: 'owner', tokenVersion: 0 }, 3600);
+        expect(await store.getSession('abc')).toMatchObject({ username: 'ana', role: 'owner', tokenVersion: 0 });
+        expect(await store.getSession('other')).toBeNull();
+
+        await store.deleteSession('abc');
+        expect(await store.getSession('abc')).toBeNull();
+    });
+});
+
+describe.each(STORES.filter(([name]) => name !== 'KV'))('%s store expiry', (name, createStore) => {
+    test('starts a new window and forgets sessions once their time is up', async () => {
+        const store = createStore();
+        const now = Date.now();
+        await store.incrementCounter('key', 1000, now);
+        expect((await store.incrementCounter('key', 1000, now + 1000)).count).toBe(1);
+
+        await store.putSession('abc', { username: 'ana' }, 60, now);
+        expect(await store.getSession('abc', now + 59000)).not.toBeNull();
+        expect(await store.getSession('abc', now + 60000)).toBeNull();
+    });
+});
+
+describe('getBookingStore', () => {
+    const loadStore = (env) => {
+        const saved = { ...process.env };
+        Object.assign(process.env, env);
+        try {
+            let store;
+            jest.isolateModules(() => { store = require('../../api/_lib/booking-store').getBookingStore(); });
+            return store;
+        } finally {
+            process.env = saved;
+        }
+    };
+
+    test('refuses the temp dir fallback on a deployment', () => {
+        expect(() => loadStore({ VERCEL_ENV: 'production' })).toThrow(/KV_REST_API_URL/);
+    });
+
+    test('uses the KV store when it is configured', async () => {
+        const store = loadStore({ VERCEL_ENV: 'production', KV_REST_API_URL: kv.url, KV_REST_API_TOKEN: kv.token });
+        await store.upsertBookings([{ id: 'kv-1' }]);
+        expect(kv.data.get('lodgify:bookings').has('kv-1')).toBe(true);
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * @jest-environment ./src/api/test-environment.js
+ */
+import bookingsHandler from '../../api/bookings';
+import sessionHandler from '../../api/session';
+import { filterBookings, parseBookingFilters } from '../../api/_lib/lodgify';
+import { hashPassword } from '../../api/_lib/users';
+import { callHandler, signIn, startLodgifyStub } from './test-utils';
+
+// 120 bookings, so the proxy has to walk three pages of 50. One a day from Jan 2 2024,
+// three nights each, over three properties; every fifth one is cancelled.
+const BOOKINGS = Array.from({ length: 120 }, (_, index) => {
+    const id = index + 1;
+    const arrival = new Date(Date.UTC(2024, 0, 1 + id));
+    const departure = new Date(Date.UTC(2024, 0, 4 + id));
+    return {
+        id,
+        property_id: 101 + (id % 3),
+        arrival: arrival.toISOString().slice(0, 10),
+        departure: departure.toISOString().slice(0, 10),
+        total_amount: 100 + id,
+        currency_code: 'USD',
+        source: 'Airbnb',
+        status: id % 5 === 0 ? 'Cancelled' : 'Booked',
+    };
+});
+
+let stub;
+let cookie;
+
+beforeAll(async () => {
+    stub = await startLodgifyStub({ bookings: BOOKINGS });
+    Object.assign(process.env, {
+        LODGIFY_API_KEY: 'test-key',
+        LODGIFY_API_BASE_URL: stub.url,
+        BOOKING_STORE: 'memory',
+        AUTH_SECRET: 'test-secret',
+        AUTH_USERS: JSON.stringify([{ username: 'admin', role: 'admin', passwordHash: hashPassword('admin-password') }]),
+    });
+    cookie = await signIn(sessionHandler, 'admin', 'admin-password');
+});
+
+afterAll(() => stub.close());
+
+const getBookings = (query = {}) => callHandler(bookingsHandler, { query, headers: { cookie } });
+
+describe('/api/bookings', () => {
+    test('merges every page from Lodgify', async () => {
+        const res = await getBookings();
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.items.map(b => b.id)).toEqual(BOOKINGS.map(b => b.id));
+        expect(res.body.count).toBe(120);
+        expect(res.body.meta.totalCount).toBe(120);
+        expect(res.body.meta.pagesFetched).toBe(3);
+
+        const pages = stub.requests.filter(r => r.path === '/v2/reservations/bookings');
+        expect(pages.map(r => r.params.page)).toEqual(['1', '2', '3']);
+        expect(pages.every(r => r.apiKey === 'test-key' && r.params.include === 'financials')).toBe(true);
+    });
+
+    test('filters by range, status and property', async () => {
+        const res = await getBookings({ start: '2024-02-01', end: '2024-02-10', status: 'Booked', propertyId: '102' });
+
+        // Stays with a night from Feb 1 to Feb 10: arrivals Jan 30 (id 29) to Feb 10 (id 40).
+        const expected = BOOKINGS.filter(b => b.id >= 29 && b.id <= 40 && b.status === 'Booked' && b.property_id === 102).map(b => b.id);
+        expect(expected.length).toBeGreaterThan(0);
+        expect(res.body.items.map(b => b.id)).toEqual(expected);
+        expect(res.body.meta.totalCount).toBe(120);
+    });
+});
+
+describe('filterBookings', () => {
+    const bookings = [
+        { id: 1, property_id: 101, arrival: '2024-03-01', departure: '2024-03-05', status: 'Booked' },
+        { id: 2, property_id: 102, arrival: '2024-03-05', departure: '2024-03-08', status: 'Cancelled' },
+        { id: 3, property_id: 101, arrival: '2024-03-10', departure: '2024-03-12', status: 'Tentative' },
+    ];
+    const ids = (filters) => filterBookings(bookings, parseBookingFilters(filters)).map(b => b.id);
+
+    test('keeps everything without filters', () => {
+        expect(ids({})).toEqual([1, 2, 3]);
+    });
+
+    test('treats the range as nights, so the departure day is not in it', () => {
+        expect(ids({ start: '2024-03-05' })).toEqual([2, 3]);
+        expect(ids({ end: '2024-03-05' })).toEqual([1, 2]);
+        expect(ids({ start: '2024-03-08', end: '2024-03-09' })).toEqual([]);
+    });
+
+    test('filters by a list of statuses, in any case', () => {
+        expect(ids({ status: 'Booked,tentative' })).toEqual([1, 3]);
+    });
+
+    test('filters by a list of property ids', () => {
+        expect(ids({ propertyId: '102' })).toEqual([2]);
+        expect(ids({ propertyId: '101, 102' })).toEqual([1, 2, 3]);
+    });
+});
@@ -0,0 +1,44 @@
+/**
+ * @jest-environment ./src/api/test-environment.js
+ */
+import http from 'http';
+import { createGeminiProvider } from '../../api/_lib/llm/gemini';
+import { createOpenAiProvider } from '../../api/_lib/llm/openai';
+
+// Serves `events` as a server-sent events stream to any POST.
+let events = [];
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+    server = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            res.end(events.map(data => `data: ${data}\n\n`).join(''));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+const PROVIDERS = [
+    ['openai', () => createOpenAiProvider({ name: 'openai', apiKey: 'key', model: 'test', baseUrl, timeoutMs: 5000 }), '{"choices":[{"delta":{"content":"Hi"}}]}'],
+    ['gemini', () => createGeminiProvider({ apiKey: 'key', model: 'test', baseUrl, timeoutMs: 5000 }), '{"candidates":[{"content":{"parts":[{"text":"Hi"}]}}]}'],
+];
+
+describe.each(PROVIDERS)('%s stream', (name, createProvider, goodChunk) => {
+    const generate = () => createProvider().generate({ system: 'Be brief.', messages: [{ role: 'user', content: 'Hello' }] });
+
+    test('reads the streamed text', async () => {
+        events = [goodChunk];
+        expect((await generate()).text).toBe('Hi');
+    });
+
+    test('turns a malformed chunk into an invalid_response error', async () => {
+        events = [goodChunk, '{"choices": [tru'];
+        await expect(generate()).rejects.toMatchObject({ code: 'invalid_response', provider: name });
+    });
+});
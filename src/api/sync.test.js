@@ -0,0 +1,138 @@
+/**
+ * @jest-environment ./src/api/test-environment.js
+ */
+import syncHandler from '../../api/sync';
+import propertiesHandler from '../../api/properties';
+import sessionHandler from '../../api/session';
+import { createMemoryStore, getBookingStore } from '../../api/_lib/booking-store';
+import { syncBookings } from '../../api/_lib/sync';
+import { hashPassword } from '../../api/_lib/users';
+import { callHandler, signIn, startLodgifyStub } from './test-utils';
+
+const booking = (id, status = 'Booked') => ({ id, property_id: 101, arrival: '2024-03-01', departure: '2024-03-04', total_amount: 300, currency_code: 'USD', status });
+
+let stub;
+let store;
+
+beforeAll(async () => {
+    stub = await startLodgifyStub();
+    process.env.LODGIFY_API_BASE_URL = stub.url;
+});
+
+afterAll(() => stub.close());
+
+beforeEach(() => {
+    stub.bookings = [booking(1), booking(2), booking(3)];
+    stub.properties = [{ id: 101, name: 'Garden Cottage', description: 'Two bedrooms' }];
+    stub.failWith = null;
+    stub.requests = [];
+    store = createMemoryStore();
+});
+
+const bookingRequests = () => stub.requests.filter(r => r.path === '/v2/reservations/bookings');
+const storedIds = async () => (await store.getBookings()).map(b => b.id).sort();
+
+describe('syncBookings', () => {
+    test('downloads every booking on the first sync', async () => {
+        const state = await syncBookings('test-key', store);
+
+        expect(await storedIds()).toEqual([1, 2, 3]);
+        expect(await store.getProperties()).toEqual([{ id: 101, name: 'Garden Cottage' }]);
+        expect(bookingRequests()[0].params.updatedSince).toBeUndefined();
+        expect(state).toMatchObject({ lastSyncMode: 'full', lastSyncChanged: 3, lastPagesFetched: 1, lastError: null });
+        expect(state.lastFullSyncAt).toBe(state.lastSyncedAt);
+        expect(await store.getSyncState()).toEqual(state);
+    });
+
+    test('only asks for changes after that, and upserts them', async () => {
+        const first = await syncBookings('test-key', store);
+        stub.bookings = [booking(2, 'Cancelled'), booking(4)];
+        stub.requests = [];
+
+        const state = await syncBookings('test-key', store);
+
+        expect(bookingRequests()[0].params.updatedSince).toBe(first.lastSyncedAt);
+        expect(await storedIds()).toEqual([1, 2, 3, 4]);
+        expect((await store.getBookings()).find(b => b.id === 2).status).toBe('Cancelled');
+        expect(await store.getProperties()).toEqual([{ id: 101, name: 'Garden Cottage' }]);
+        expect(state).toMatchObject({ lastSyncMode: 'delta', lastSyncChanged: 2, lastFullSyncAt: first.lastFullSyncAt });
+    });
+
+    test('keeps the previous sync point when Lodgify fails', async () => {
+        const first = await syncBookings('test-key', store);
+        stub.failWith = 503;
+
+        await expect(syncBookings('test-key', store)).rejects.toThrow();
+
+        const state = await store.getSyncState();
+        expect(state.lastSyncedAt).toBe(first.lastSyncedAt);
+        expect(state.lastError).toEqual(expect.any(String));
+        expect(state.lastErrorAt).toEqual(expect.any(String));
+        expect(await storedIds()).toEqual([1, 2, 3]);
+    });
+
+    test('leaves what a webhook wrote during the sync alone', async () => {
+        await syncBookings('test-key', store);
+        stub.bookings = [booking(1), booking(2), booking(3)];
+    stub.properties = [{ id: 101, name: 'Garden Cottage', description: 'Two bedrooms' }];
+
+        // A webhook cancels booking 2 after the sync fetched it, just before the sync writes.
+        const replaceBookings = store.replaceBookings;
+        store.replaceBookings = async (items, options) => {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            await store.upsertBookings([booking(2, 'Cancelled')]);
+            await store.updateSyncState({ lastWebhookAt: '2024-03-01T12:00:00.000Z' });
+            return replaceBookings(items, options);
+        };
+
+        const state = await syncBookings('test-key', store, { full: true });
+
+        expect((await store.getBookings()).find(b => b.id === 2).status).toBe('Cancelled');
+        expect(state.lastWebhookAt).toBe('2024-03-01T12:00:00.000Z');
+        expect(state.lastSyncMode).toBe('full');
+    });
+});
+
+describe('/api/sync', () => {
+    let cookie;
+
+    beforeAll(async () => {
+        Object.assign(process.env, {
+            LODGIFY_API_KEY: 'test-key',
+            BOOKING_STORE: 'memory',
+            AUTH_SECRET: 'test-secret',
+            AUTH_USERS: JSON.stringify([{ username: 'admin', role: 'admin', passwordHash: hashPassword('admin-password') }]),
+        });
+        cookie = await signIn(sessionHandler, 'admin', 'admin-password');
+    });
+
+    test('returns the sync state on GET without reading the bookings', async () => {
+        const shared = getBookingStore();
+        await shared.updateSyncState({ lastChangedAt: '2024-03-01T00:00:00.000Z' });
+        const getBookings = jest.spyOn(shared, 'getBookings');
+
+        const res = await callHandler(syncHandler, { method: 'GET', headers: { cookie } });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toEqual({ lastChangedAt: '2024-03-01T00:00:00.000Z' });
+        expect(getBookings).not.toHaveBeenCalled();
+        getBookings.mockRestore();
+    });
+
+    test('counts the cached bookings after a sync', async () => {
+        const res = await callHandler(syncHandler, { method: 'POST', headers: { cookie } });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toEqual(expect.objectContaining({ bookingCount: 3, lastSyncedAt: expect.any(String) }));
+    });
+
+    test('serves the properties from the cache', async () => {
+        stub.requests = [];
+
+        const res = await callHandler(propertiesHandler, { headers: { cookie } });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.items).toEqual([{ id: 101, name: 'Garden Cottage' }]);
+        expect(stub.requests).toEqual([]);
+    });
+});
@@ -0,0 +1,19 @@
+// Jest environment for the tests of the serverless functions in /api. They run on Node,
+// but Jest's own Node environment leaves out fetch, which the functions call Lodgify and
+// the model providers with, so Node's is passed through.
+//
+// Use it with a docblock at the top of a test file:
+//   /**
+//    * @jest-environment ./src/api/test-environment.js
+//    */
+
+const NodeEnvironment = require('jest-environment-node');
+
+class ApiTestEnvironment extends NodeEnvironment {
+    async setup() {
+        await super.setup();
+        Object.assign(this.global, { fetch, Request, Response, Headers, ReadableStream, AbortSignal });
+    }
+}
+
+module.exports = ApiTestEnvironment;
@@ -0,0 +1,171 @@
+// --- API Test Helpers ---
+// Local stand-ins for the Lodgify API and the KV database, and fake requests and responses
+// to call the serverless functions in /api with.
+
+import http from 'http';
+
+// Starts a local stub of the Lodgify API on a free port. It pages through `bookings` and
+// `properties` like Lodgify does ({ count, items }), serves single bookings by id, and
+// records every request. Set `stub.failWith` to a status code to make every call fail.
+export async function startLodgifyStub({ bookings = [], properties = [] } = {}) {
+    const stub = { bookings, properties, failWith: null, requests: [] };
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        stub.requests.push({ path: url.pathname, params: Object.fromEntries(url.searchParams), apiKey: req.headers['x-apikey'] });
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (stub.failWith) return send(stub.failWith, { message: 'Stubbed failure' });
+
+        const single = url.pathname.match(/^\/v2\/reservations\/bookings\/([^/]+)$/);
+        if (single) {
+            const booking = stub.bookings.find(b => String(b.id) === decodeURIComponent(single[1]));
+            return booking ? send(200, booking) : send(404, { message: 'Booking not found' });
+        }
+
+        const list = { '/v2/reservations/bookings': stub.bookings, '/v2/properties': stub.properties }[url.pathname];
+        if (!list) return send(404, { message: 'Not found' });
+        const page = Number(url.searchParams.get('page')) || 1;
+        const size = Number(url.searchParams.get('size')) || 50;
+        send(200, { count: list.length, items: list.slice((page - 1) * size, page * size) });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    stub.url = `http://127.0.0.1:${server.address().port}`;
+    stub.close = () => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    });
+    return stub;
+}
+
+// Starts a local stub of a Redis REST API (Vercel KV / Upstash) on a free port, with just the
+// commands the stores use. `stub.data` holds the keys and `stub.expiresAt` their expiry times.
+export async function startKvStub({ token = 'kv-token' } = {}) {
+    const data = new Map();
+    const expiresAt = new Map();
+    const live = (key) => {
+        if (expiresAt.has(key) && expiresAt.get(key) <= Date.now()) {
+            data.delete(key);
+            expiresAt.delete(key);
+        }
+        return data.has(key);
+    };
+    const hash = (key) => {
+        if (!data.has(key)) data.set(key, new Map());
+        return data.get(key);
+    };
+    const commands = {
+        GET: ([key]) => (live(key) ? data.get(key) : null),
+        // SET key value [EX seconds | PX milliseconds] [NX]
+        SET: ([key, value, ...options]) => {
+            const flags = options.map(option => String(option).toUpperCase());
+            if (flags.includes('NX') && live(key)) return null;
+            data.set(key, value);
+            expiresAt.delete(key);
+            const ex = flags.indexOf('EX');
+            const px = flags.indexOf('PX');
+            if (ex >= 0) expiresAt.set(key, Date.now() + Number(options[ex + 1]) * 1000);
+            if (px >= 0) expiresAt.set(key, Date.now() + Number(options[px + 1]));
+            return 'OK';
+        },
+        INCR: ([key]) => {
+            const value = Number(live(key) ? data.get(key) : 0) + 1;
+            data.set(key, String(value));
+            return value;
+        },
+        PTTL: ([key]) => {
+            if (!live(key)) return -2;
+            return expiresAt.has(key) ? expiresAt.get(key) - Date.now() : -1;
+        },
+        DEL: (keys) => keys.filter(key => live(key) && data.delete(key)).length,
+        EXISTS: (keys) => keys.filter(live).length,
+        HGETALL: ([key]) => [...(data.get(key) || new Map())].flat(),
+        HKEYS: ([key]) => [...(data.get(key) || new Map()).keys()],
+        HDEL: ([key, ...fields]) => fields.filter(field => hash(key).delete(field)).length,
+        HSET: ([key, ...fields]) => {
+            for (let i = 0; i < fields.length; i += 2) hash(key).set(fields[i], fields[i + 1]);
+            return fields.length / 2;
+        },
+    };
+    const stub = { data, expiresAt, token, requests: [] };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const send = (status, reply) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(reply));
+            };
+            if (req.headers.authorization !== `Bearer ${token}`) return send(401, { error: 'Unauthorized' });
+            if (req.url !== '/pipeline' && req.url !== '/multi-exec') return send(404, { error: 'Not found' });
+            const batch = JSON.parse(body);
+            stub.requests.push({ path: req.url, commands: batch });
+            send(200, batch.map(([name, ...args]) => (
+                commands[name.toUpperCase()] ? { result: commands[name.toUpperCase()](args) } : { error: `ERR unknown command '${name}'` }
+            )));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    stub.url = `http://127.0.0.1:${server.address().port}`;
+    stub.close = () => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    });
+    return stub;
+}
+
+// A response object with the parts of Vercel's that the functions use. The status, headers
+// and JSON body end up on `statusCode`, `headers` and `body`; anything written on `text`.
+export function createResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        text: '',
+        headersSent: false,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            this.headersSent = true;
+            return this;
+        },
+        setHeader(name, value) {
+            this.headers[name.toLowerCase()] = value;
+        },
+        writeHead(code, headers = {}) {
+            this.statusCode = code;
+            Object.entries(headers).forEach(([name, value]) => this.setHeader(name, value));
+            this.headersSent = true;
+        },
+        write(chunk) {
+            this.text += chunk;
+        },
+        end(chunk) {
+            if (chunk) this.text += chunk;
+            this.headersSent = true;
+        },
+    };
+}
+
+// Calls a serverless function and returns the response once it has finished.
+export async function callHandler(handler, { method = 'GET', query = {}, headers = {}, body } = {}) {
+    const res = createResponse();
+    await handler({ method, query, headers, body, socket: { remoteAddress: '127.0.0.1' } }, res);
+    return res;
+}
+
+// Signs in through /api/session and returns the Cookie header for later requests.
+export async function signIn(sessionHandler, username, password) {
+    const res = await callHandler(sessionHandler, { method: 'POST', body: { username, password } });
+    if (res.statusCode !== 200) throw new Error(`Sign-in failed with status ${res.statusCode}: ${res.body?.error}`);
+    return res.headers['set-cookie'].split(';')[0];
+}
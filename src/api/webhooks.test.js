@@ -0,0 +1,118 @@
+/**
+ * @jest-environment ./src/api/test-environment.js
+ */
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import webhookHandler from '../../api/webhooks/lodgify';
+import { getBookingStore } from '../../api/_lib/booking-store';
+import { classifyEvent, verifySignature } from '../../api/_lib/webhooks';
+import { createResponse, startLodgifyStub } from './test-utils';
+
+const SECRET = 'webhook-secret';
+const sign = (body, secret = SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+describe('verifySignature', () => {
+    const body = Buffer.from('{"action":"booking_change"}');
+
+    test('accepts the HMAC of the raw body', () => {
+        expect(verifySignature(body, sign(body), SECRET)).toBe(true);
+    });
+
+    test('rejects a signature made with another secret or over another body', () => {
+        expect(verifySignature(body, sign(body, 'other-secret'), SECRET)).toBe(false);
+        expect(verifySignature(body, sign(Buffer.from('{}')), SECRET)).toBe(false);
+        expect(verifySignature(body, 'sha256=not-hex', SECRET)).toBe(false);
+    });
+
+    test('rejects a delivery without a signature header', () => {
+        expect(verifySignature(body, undefined, SECRET)).toBe(false);
+        expect(verifySignature(body, '', SECRET)).toBe(false);
+    });
+});
+
+describe('classifyEvent', () => {
+    test.each([
+        ['booking_new_status_booked', 'created'],
+        ['booking_new_any_status', 'created'],
+        ['booking_change', 'changed'],
+        ['booking_status_change_booked', 'changed'],
+        ['booking_status_change_declined', 'changed'],
+        ['booking_status_change_cancelled', 'cancelled'],
+        ['guest_message_received', null],
+        [undefined, null],
+    ])('%s is %s', (action, kind) => {
+        expect(classifyEvent(action)).toBe(kind);
+    });
+});
+
+describe('/api/webhooks/lodgify', () => {
+    let stub;
+
+    beforeAll(async () => {
+        stub = await startLodgifyStub({
+            bookings: [
+                { id: 7, property_id: 101, arrival: '2024-03-01', departure: '2024-03-04', total_amount: 300, currency_code: 'USD', status: 'Booked' },
+                { id: 8, property_id: 102, arrival: '2024-04-01', departure: '2024-04-03', total_amount: 200, currency_code: 'USD', status: 'Declined' },
+            ],
+        });
+        Object.assign(process.env, {
+            LODGIFY_API_KEY: 'test-key',
+            LODGIFY_API_BASE_URL: stub.url,
+            LODGIFY_WEBHOOK_SECRET: SECRET,
+            BOOKING_STORE: 'memory',
+        });
+    });
+
+    afterAll(() => stub.close());
+
+    // Posts a raw body the way Vercel hands it over with the body parser off.
+    const deliver = async (body, signature = sign(body)) => {
+        const req = Object.assign(Readable.from([Buffer.from(body)]), { method: 'POST', headers: { 'ms-signature': signature } });
+        const res = createResponse();
+        await webhookHandler(req, res);
+        return res;
+    };
+
+    test('rejects a delivery with a wrong signature', async () => {
+        const res = await deliver('{"action":"booking_new_status_booked","booking":{"id":7}}', sign('{}'));
+        expect(res.statusCode).toBe(401);
+    });
+
+    test('applies a delivery once and acknowledges the replay as a duplicate', async () => {
+        const body = JSON.stringify({ event_id: 'evt-1', action: 'booking_new_status_booked', booking: { id: 7 } });
+
+        const first = await deliver(body);
+        expect(first.statusCode).toBe(200);
+        expect(first.body).toEqual({ status: 'applied', change: 'created' });
+
+        const replay = await deliver(body);
+        expect(replay.statusCode).toBe(200);
+        expect(replay.body).toEqual({ status: 'duplicate' });
+
+        const store = getBookingStore();
+        expect((await store.getBookings()).map(b => b.id)).toEqual([7]);
+        expect((await store.getSyncState()).lastWebhookAt).toEqual(expect.any(String));
+        expect(stub.requests.filter(r => r.path === '/v2/reservations/bookings/7')).toHaveLength(1);
+    });
+
+    test('stores a declined request with the status Lodgify returned', async () => {
+        const res = await deliver(JSON.stringify({ event_id: 'evt-2', action: 'booking_status_change_declined', booking: { id: 8 } }));
+
+        expect(res.body).toEqual({ status: 'applied', change: 'changed' });
+        const stored = (await getBookingStore().getBookings()).find(b => b.id === 8);
+        expect(stored.status).toBe('Declined');
+    });
+
+    test('cancels the stored copy when Lodgify cannot be reached', async () => {
+        stub.failWith = 503;
+        try {
+            const res = await deliver(JSON.stringify({ event_id: 'evt-3', action: 'booking_status_change_cancelled', booking: { id: 7 } }));
+            expect(res.body).toEqual({ status: 'applied', change: 'cancelled' });
+        } finally {
+            stub.failWith = null;
+        }
+
+        const stored = (await getBookingStore().getBookings()).find(b => b.id === 7);
+        expect(stored).toEqual(expect.objectContaining({ status: 'Cancelled', total_amount: 300 }));
+    });
+});
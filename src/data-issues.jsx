@@ -0,0 +1,49 @@
+import React from 'react';
+import { AlertTriangle, CheckCircle2 } from 'lucide-react';
+import { getPropertyName } from './metrics';
+
+// Badge colours for what normalization did with a record
+const ACTION_BADGES = {
+    fixed: { label: 'Fixed', className: 'bg-yellow-100 text-yellow-800' },
+    excluded: { label: 'Left out', className: 'bg-red-100 text-red-800' },
+};
+
+// --- Data Issues Component ---
+// Lists the bookings normalizeBookings() had to fix or leave out, so numbers that look
+// off can be traced back to the records in Lodgify.
+export default function DataIssues({ issues, propertyNames }) {
+    const excludedCount = issues.filter(issue => issue.action === 'excluded').length;
+    const fixedCount = issues.length - excludedCount;
+
+    return (
+        <div className="p-6 bg-white border rounded-xl shadow">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="font-semibold text-gray-700">Data Issues</h3>
+                {issues.length > 0 && <span className="text-xs text-gray-500">{fixedCount} fixed, {excludedCount} left out of the numbers</span>}
+            </div>
+            {issues.length === 0 ? (
+                <p className="flex items-center text-sm text-gray-500"><CheckCircle2 className="w-4 h-4 mr-2 text-green-600" />Every booking in the selected range could be used as it is.</p>
+            ) : (
+                <div className="overflow-x-auto max-h-96">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr><th className="px-4 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">Booking</th><th className="px-4 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">Property</th><th className="px-4 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">Dates</th><th className="px-4 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">Status</th><th className="px-4 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">Issue</th></tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {issues.map((issue, index) => (
+                                <tr key={`${issue.id}-${index}`} className="hover:bg-gray-50">
+                                    <td className="px-4 py-3 text-sm text-gray-900 whitespace-nowrap">#{issue.id ?? '?'}{issue.guest && <span className="text-gray-500"> {issue.guest}</span>}</td>
+                                    <td className="px-4 py-3 text-sm text-gray-500 whitespace-nowrap">{issue.property_id === null ? 'Unknown property' : getPropertyName(String(issue.property_id), propertyNames)}</td>
+                                    <td className="px-4 py-3 text-sm text-gray-500 whitespace-nowrap">{issue.arrival || '?'} to {issue.departure || '?'}</td>
+                                    <td className="px-4 py-3 text-sm text-gray-500 whitespace-nowrap">{issue.status || 'N/A'}</td>
+                                    <td className="px-4 py-3 text-sm text-gray-700"><span className={`px-2 mr-2 inline-flex text-xs leading-5 font-semibold rounded-full ${ACTION_BADGES[issue.action].className}`}>{ACTION_BADGES[issue.action].label}</span>{issue.message}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            {excludedCount > 0 && <p className="flex items-center mt-4 text-xs text-gray-500"><AlertTriangle className="w-4 h-4 mr-2 text-yellow-500" />Records left out count towards none of the figures above. Fix them in Lodgify and refresh.</p>}
+        </div>
+    );
+}
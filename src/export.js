@@ -0,0 +1,163 @@
+// --- Spreadsheet Export ---
+// Builds CSV and XLSX downloads of the filtered bookings and the dashboard KPIs.
+// CSV is written here; the XLSX writer is loaded on demand so it only costs anything
+// when someone exports a workbook.
+
+import { getPropertyId, getPropertyName, getStayNights } from './metrics';
+
+// Rounds a KPI to the precision its stat card shows, so exported numbers match the screen.
+const roundTo = (value, decimals) => Number((value || 0).toFixed(decimals));
+
+// Turns a possibly nested financials object into flat "Label: key" columns.
+const flattenFinancials = (value, prefix, row) => {
+    if (value === null || value === undefined) return;
+    if (typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([key, nested]) => flattenFinancials(nested, `${prefix}: ${key}`, row));
+    } else if (!Array.isArray(value)) {
+        row[prefix] = value;
+    }
+};
+
+// One row per booking, including whatever financials Lodgify returned with it.
+export const buildBookingRows = (bookings, propertyNames = {}) => (
+    bookings
+        .slice()
+        .sort((a, b) => String(a.arrival).localeCompare(String(b.arrival)))
+        .map(booking => {
+            const row = {
+                'Booking ID': booking.id,
+                'Guest': booking.guest?.name || 'N/A',
+                'Property': getPropertyName(getPropertyId(booking), propertyNames),
+                'Arrival': booking.arrival,
+                'Departure': booking.departure,
+                'Nights': getStayNights(booking),
+                'Source': booking.source || 'Unknown',
+                'Status': booking.status,
+                'Total': booking.total_amount || 0,
+                'Amount Paid': booking.amount_paid,
+                'Amount Due': booking.amount_due,
+                'Currency': booking.currency_code,
+                'Created': booking.creation_date,
+            };
+            flattenFinancials(booking.subtotals, 'Subtotal', row);
+            return row;
+        })
+);
+
+// Collects the KPI summary and breakdowns shown on the dashboard.
+// `statCards` is the dashboard's card list; each card's `decimals` sets the rounding.
+export const buildReport = (processedData, statCards, { startDate, endDate, propertyLabel, comparisonLabel, currency }) => ({
+    summary: [
+        { Metric: 'Date range', Value: `${startDate || 'Any'} to ${endDate || 'Any'}` },
+        { Metric: 'Property', Value: propertyLabel },
+        { Metric: 'Currency', Value: currency },
+        ...statCards.map(card => ({
+            Metric: card.title,
+            Value: roundTo(processedData[card.key], card.decimals),
+            ...(processedData.comparison ? { [comparisonLabel]: roundTo(processedData.comparison[card.key], card.decimals) } : {}),
+        })),
+    ],
+    monthly: processedData.bookingsByMonth.map(month => ({
+        Month: month.name,
+        Bookings: month.bookings,
+        ...(processedData.comparison ? { [`${comparisonLabel} (${month.comparisonName || 'n/a'})`]: month.comparisonBookings } : {}),
+    })),
+    channels: processedData.revenueByChannel.map(channel => ({ Channel: channel.name, Revenue: roundTo(channel.revenue, 2) })),
+    properties: processedData.propertyBreakdown.map(row => ({
+        Property: row.name,
+        Revenue: roundTo(row.revenue, 2),
+        Nights: row.nights,
+        ADR: roundTo(row.adr, 2),
+        'Cancellation Rate (%)': roundTo(row.cancellationRate, 1),
+        'Avg. Lead Time (days)': roundTo(row.leadTime, 1),
+        'Occupancy (%)': roundTo(row.occupancyRate, 1),
+        RevPAR: roundTo(row.revPar, 2),
+    })),
+});
+
+// Spreadsheet apps run a CSV cell that starts with one of these as a formula, so a guest
+// name like "=HYPERLINK(...)" would execute when the export is opened. The XLSX writer
+// always stores text as text, so the workbook gets the values as they are.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Text that could be read as a formula gets a leading apostrophe, which keeps it text.
+export const neutralizeFormula = (value) => (
+    typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value
+);
+
+// Rows as a header row plus one array of cells per row. Row objects with differing keys
+// (e.g. financials) still share one header row; missing cells are null.
+const toSheetData = (rows) => {
+    const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    return [
+        headers,
+        ...rows.map(row => headers.map(header => (row[header] === undefined ? null : row[header]))),
+    ];
+};
+
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(neutralizeFormula(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows as CSV text (RFC 4180 quoting).
+export const toCsv = (rows) => toSheetData(rows).map(cells => cells.map(toCsvCell).join(',')).join('\n');
+
+// Triggers a browser download of a text file.
+const downloadText = (text, filename, type) => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+const REPORT_SECTIONS = [
+    ['Summary', 'summary'],
+    ['Monthly', 'monthly'],
+    ['Channels', 'channels'],
+    ['Properties', 'properties'],
+];
+
+export const exportBookingsCsv = async (bookings, propertyNames, filename) => {
+    downloadText(toCsv(buildBookingRows(bookings, propertyNames)), filename, 'text/csv;charset=utf-8');
+};
+
+// The KPI report as one CSV, with a titled block per section.
+export const exportReportCsv = async (report, filename) => {
+    const blocks = REPORT_SECTIONS.map(([title, key]) => `${title}\n${toCsv(report[key])}`);
+    downloadText(blocks.join('\n\n'), filename, 'text/csv;charset=utf-8');
+};
+
+// Owner statements, one row per property and month, rounded to cents.
+export const exportOwnerStatementsCsv = async (statements, filename) => {
+    const rows = statements.map(row => ({
+        Property: row.property,
+        Month: row.monthName,
+        Bookings: row.bookings,
+        Nights: row.nights,
+        Gross: roundTo(row.gross, 2),
+        'Room Revenue': roundTo(row.room, 2),
+        'Cleaning & Fees': roundTo(row.fees, 2),
+        Taxes: roundTo(row.taxes, 2),
+        'OTA Commission': roundTo(row.commission, 2),
+        'Net Revenue': roundTo(row.net, 2),
+        'Net ADR': roundTo(row.netAdr, 2),
+        'Payments Received': roundTo(row.paid, 2),
+        'Balance Due': roundTo(row.due, 2),
+    }));
+    downloadText(toCsv(rows), filename, 'text/csv;charset=utf-8');
+};
+
+// A workbook with the bookings on the first sheet and a sheet per report section.
+export const exportWorkbook = async (bookings, report, propertyNames, filename) => {
+    const { default: writeXlsxFile } = await import('write-excel-file/browser');
+    await writeXlsxFile([
+        { sheet: 'Bookings', data: toSheetData(buildBookingRows(bookings, propertyNames)) },
+        ...REPORT_SECTIONS.map(([title, key]) => ({ sheet: title, data: toSheetData(report[key]) })),
+    ]).toFile(filename);
+};
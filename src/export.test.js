@@ -0,0 +1,52 @@
+import writeXlsxFile from 'write-excel-file/browser';
+import { buildBookingRows, exportWorkbook, toCsv } from './export';
+
+jest.mock('write-excel-file/browser', () => jest.fn());
+
+const FORMULA_LIKE_BOOKINGS = [
+    { id: 1, arrival: '2024-03-01', departure: '2024-03-03', status: 'Booked', total_amount: -5, guest: { name: '=HYPERLINK("http://x","y")' }, source: '@SUM(A1)' },
+    { id: 2, arrival: '2024-03-04', departure: '2024-03-05', status: 'Booked', total_amount: 0, guest: { name: '+1 555' }, source: '\tTab' },
+    { id: 3, arrival: '2024-03-06', departure: '2024-03-07', status: 'Booked', total_amount: 0, guest: { name: '-Dash' }, source: '\rCR' },
+];
+
+describe('toCsv', () => {
+    test('quotes cells with commas, quotes or line breaks', () => {
+        expect(toCsv([{ Guest: 'Smith, Jo', Note: 'said "hi"\nthen left', Total: 10 }])).toBe(
+            'Guest,Note,Total\n"Smith, Jo","said ""hi""\nthen left",10'
+        );
+    });
+
+    test('shares one header row between rows with different keys', () => {
+        expect(toCsv([{ A: 1 }, { B: 2 }])).toBe('A,B\n1,\n,2');
+    });
+
+    test('keeps text that looks like a formula as text', () => {
+        const lines = toCsv(buildBookingRows(FORMULA_LIKE_BOOKINGS)).split('\n');
+
+        expect(lines[1]).toContain(`,"'=HYPERLINK(""http://x"",""y"")",`);
+        expect(lines[1]).toContain(",'@SUM(A1),");
+        expect(lines[1]).toContain(',-5,');
+        expect(lines[2]).toContain(",'+1 555,");
+        expect(lines[2]).toContain(",'\tTab,");
+        expect(lines[3]).toContain(",'-Dash,");
+        expect(lines[3]).toContain(`,"'\rCR",`);
+    });
+});
+
+describe('exportWorkbook', () => {
+    test('writes text cells as they are, since XLSX keeps them as text', async () => {
+        const toFile = jest.fn();
+        writeXlsxFile.mockReturnValue({ toFile });
+        const report = { summary: [], monthly: [], channels: [], properties: [] };
+
+        await exportWorkbook(FORMULA_LIKE_BOOKINGS, report, {}, 'bookings.xlsx');
+
+        const [sheets] = writeXlsxFile.mock.calls[0];
+        const [headers, ...rows] = sheets[0].data;
+        const cell = (row, header) => row[headers.indexOf(header)];
+        expect(rows.map(row => cell(row, 'Guest'))).toEqual(['=HYPERLINK("http://x","y")', '+1 555', '-Dash']);
+        expect(rows.map(row => cell(row, 'Source'))).toEqual(['@SUM(A1)', '\tTab', '\rCR']);
+        expect(rows.map(row => cell(row, 'Total'))).toEqual([-5, 0, 0]);
+        expect(toFile).toHaveBeenCalledWith('bookings.xlsx');
+    });
+});
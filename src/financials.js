@@ -0,0 +1,108 @@
+// --- Booking Financials ---
+// Splits what a booking is worth into its line items, so the dashboard can show what we
+// actually earn rather than only the gross `total_amount`.
+//
+// Lodgify returns the line items in `subtotals` when bookings are fetched with
+// include=financials: `stay` (room revenue), `fees` (cleaning and other fees), `services`
+// and `addons`, `promotions` (discounts) and `vat` (taxes). Lodgify doesn't know what the
+// channel charged, so OTA commission is worked out from a configurable rate per channel.
+
+import { fromDayNumber, getMonthBucket, getPropertyId, getPropertyName, getStayNights, prorateStay, resolveWindow, toDayNumber } from './metrics';
+
+const MS_PER_DAY = 1000 * 3600 * 24;
+
+// Commission as a percentage of room revenue plus fees, by booking source. Sources that
+// aren't listed pay no commission. The dashboard lets users override these.
+export const DEFAULT_COMMISSION_RATES = {
+    'Airbnb': 15,
+    'Booking.com': 15,
+    'Vrbo': 8,
+    'Expedia': 18,
+};
+
+const toAmount = (value) => {
+    const amount = Number(value);
+    return Number.isFinite(amount) ? amount : 0;
+};
+
+// The commission rate (in %) for a booking's source; matched case-insensitively.
+export const getCommissionRate = (source, commissionRates = DEFAULT_COMMISSION_RATES) => {
+    const key = Object.keys(commissionRates).find(name => name.toLowerCase() === String(source || '').toLowerCase());
+    return key ? toAmount(commissionRates[key]) : 0;
+};
+
+// The line items of a single booking:
+//   gross      - total_amount, what the guest pays
+//   room       - room revenue after promotions
+//   fees       - cleaning fees plus other fees, services and add-ons
+//   taxes      - taxes collected, passed on rather than earned
+//   commission - what the channel keeps
+//   net        - gross less taxes and commission
+//   paid, due  - payments received and the balance still due
+// Without subtotals everything but taxes is treated as room revenue.
+export const getBookingFinancials = (booking, commissionRates) => {
+    const subtotals = booking.subtotals || {};
+    const gross = toAmount(booking.total_amount);
+    const taxes = toAmount(subtotals.vat ?? subtotals.taxes);
+    const fees = toAmount(subtotals.fees) + toAmount(subtotals.services) + toAmount(subtotals.addons);
+    const room = subtotals.stay !== undefined
+        ? toAmount(subtotals.stay) - Math.abs(toAmount(subtotals.promotions))
+        : gross - fees - taxes;
+    const commission = ((room + fees) * getCommissionRate(booking.source, commissionRates)) / 100;
+    const paid = toAmount(booking.amount_paid);
+    const due = booking.amount_due !== undefined && booking.amount_due !== null ? toAmount(booking.amount_due) : Math.max(0, gross - paid);
+    return { gross, room, fees, taxes, commission, net: gross - taxes - commission, paid, due };
+};
+
+export const FINANCIAL_FIELDS = ['gross', 'room', 'fees', 'taxes', 'commission', 'net', 'paid', 'due'];
+
+const emptyTotals = () => Object.fromEntries(FINANCIAL_FIELDS.map(field => [field, 0]));
+
+// Adds a booking's line items to the totals, prorated to its nights inside the window
+// the same way revenue is.
+const addProrated = (totals, booking, window, commissionRates) => {
+    const stay = prorateStay(booking, window);
+    const share = stay.nights > 0 ? stay.nights / getStayNights(booking) : 0;
+    const financials = getBookingFinancials(booking, commissionRates);
+    FINANCIAL_FIELDS.forEach(field => { totals[field] += financials[field] * share; });
+    totals.nights += stay.nights;
+    return totals;
+};
+
+// Line item totals for the confirmed bookings in the window, plus net ADR
+// (net revenue per night sold).
+export const computeFinancialTotals = (confirmedBookings, window, commissionRates) => {
+    const totals = confirmedBookings.reduce((acc, booking) => addProrated(acc, booking, window, commissionRates), { ...emptyTotals(), nights: 0 });
+    return { ...totals, netAdr: totals.nights > 0 ? totals.net / totals.nights : 0 };
+};
+
+// Owner statements: one row per property and calendar month in the selected range, each
+// stay split across the months its nights fall in. Rows are sorted by property, then month.
+export const buildOwnerStatements = (bookings, propertyNames, { startDate = '', endDate = '', commissionRates } = {}) => {
+    const confirmed = bookings.filter(b => b.status === 'Booked');
+    const window = resolveWindow(confirmed, startDate, endDate);
+    if (!window) return [];
+
+    const rows = {};
+    confirmed.forEach(booking => {
+        const propertyId = getPropertyId(booking);
+        const arrival = Math.max(toDayNumber(booking.arrival), window.start);
+        const departure = Math.min(toDayNumber(booking.departure), window.end);
+
+        // Walk the stay a month at a time; each piece is prorated to its month.
+        for (let start = arrival; start < departure;) {
+            const date = new Date(start * MS_PER_DAY);
+            const end = Math.min(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) / MS_PER_DAY, departure);
+            const month = getMonthBucket({ arrival: fromDayNumber(start) });
+            const key = `${propertyId}|${month.key}`;
+            if (!rows[key]) rows[key] = { propertyId, property: getPropertyName(propertyId, propertyNames), month: month.key, monthName: month.name, bookings: 0, nights: 0, ...emptyTotals() };
+            if (start === arrival) rows[key].bookings += 1;
+            addProrated(rows[key], booking, { start, end }, commissionRates);
+            start = end;
+        }
+    });
+
+    return Object.values(rows)
+        .map(row => ({ ...row, netAdr: row.nights > 0 ? row.net / row.nights : 0 }))
+        .sort((a, b) => a.property.localeCompare(b.property) || a.month.localeCompare(b.month));
+};
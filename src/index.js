@@ -1,10 +1,11 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './lodgify-dashboard'; // Assuming the file is named this
+import SessionGate from './session';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <SessionGate>{({ user, onLogout }) => <App user={user} onLogout={onLogout} />}</SessionGate>
   </React.StrictMode>
 );
@@ -1,35 +1,116 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
-import { FileText, BrainCircuit, LayoutDashboard, Hotel, AlertTriangle, RefreshCw, Calendar as CalendarIcon, Send } from 'lucide-react';
+import { FileText, LayoutDashboard, Hotel, AlertTriangle, RefreshCw, Calendar as CalendarIcon, CalendarRange, TrendingUp, Receipt, Building2, Download, LogOut } from 'lucide-react';
+import { COMPARISON_MODES, computeKpis, computePropertyBreakdown, getComparisonRange, getPropertyId, getPropertyName, groupBookingsByMonth, propertySeriesKey, prorateStay } from './metrics';
+import OccupancyCalendar from './occupancy-calendar';
+import PaceReport from './pace-report';
+import OwnerStatements from './owner-statements';
+import AiChat from './ai-chat';
+import { buildReport, exportBookingsCsv, exportReportCsv, exportWorkbook } from './export';
+import { DEFAULT_COMMISSION_RATES, computeFinancialTotals } from './financials';
+import { useStoredState } from './use-stored-state';
+import { apiFetch } from './session';
+import { DEFAULT_CURRENCY, formatCurrency, getCurrencies, getStatusGroup, normalizeBookings } from './normalize';
+import DataIssues from './data-issues';
+import { MOCK_BOOKINGS, MOCK_PROPERTIES } from './mock-data';
 
 // --- Helper Functions & Constants ---
 
-// Simple markdown-to-HTML parser for AI insights
-const parseMarkdown = (text) => {
-    return text
-        .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>') // Bold
-        .replace(/\*(.*?)\*/g, '<em>$1</em>')     // Italics
-        .replace(/^- (.*)/gm, '<li class="ml-4 list-disc">$1</li>') // List items
-        .replace(/\n/g, '<br />'); // NEW: Convert newlines to line breaks
-};
-
 // Colors for charts - using a modern, professional palette
 const COLORS = ['#3b82f6', '#8b5cf6', '#ef4444', '#10b981', '#f97316', '#ec4899'];
 
-// --- MOCK DATA ---
-// This sample data is used if the API call fails, allowing the UI to still be viewed.
-const MOCK_BOOKINGS = [
-    { id: 1, guest: { name: 'John Doe' }, arrival: '2024-01-15', departure: '2024-01-20', total_amount: 500, source: 'Airbnb', status: 'Booked', creation_date: '2023-12-15T10:00:00Z' },
-    { id: 2, guest: { name: 'Jane Smith' }, arrival: '2024-02-10', departure: '2024-02-15', total_amount: 650, source: 'Booking.com', status: 'Booked', creation_date: '2024-01-10T10:00:00Z' },
-    { id: 3, guest: { name: 'Peter Jones' }, arrival: '2024-02-20', departure: '2024-02-25', total_amount: 550, source: 'Direct', status: 'Booked', creation_date: '2024-02-01T10:00:00Z' },
-    { id: 4, guest: { name: 'Mary Williams' }, arrival: '2024-03-05', departure: '2024-03-10', total_amount: 700, source: 'Airbnb', status: 'Cancelled', creation_date: '2024-02-15T10:00:00Z' },
+// How often the dashboard asks the server whether bookings changed (e.g. via a webhook)
+const LIVE_UPDATE_INTERVAL_MS = 30 * 1000;
+
+// Status badge colours in the bookings table, by what the status means
+const STATUS_BADGE_CLASSES = {
+    confirmed: 'bg-green-100 text-green-800',
+    pending: 'bg-yellow-100 text-yellow-800',
+    declined: 'bg-gray-100 text-gray-800',
+    cancelled: 'bg-red-100 text-red-800',
+};
+
+// Page titles for each sidebar view
+const VIEW_TITLES = {
+    dashboard: 'Analytics Dashboard',
+    bookings: 'All Bookings',
+    calendar: 'Occupancy Calendar',
+    pace: 'Pace & Forecast',
+    statements: 'Owner Statements',
+};
+
+// Value formatters shared by the stat cards and their comparison deltas.
+// Each gets the value and the currency the bookings are in.
+const formatPercent = (value) => `${(value || 0).toFixed(1)}%`;
+
+// The stat card grid. `lowerIsBetter` flips the colour of the comparison delta,
+// and percentage KPIs show their delta in percentage points. `decimals` must match
+// the format, since exports round to it.
+const STAT_CARDS = [
+    { key: 'totalRevenue', title: 'Total Revenue', format: formatCurrency, decimals: 2 },
+    { key: 'netRevenue', title: 'Net Revenue', format: formatCurrency, decimals: 2, hint: () => 'after taxes and commission' },
+    { key: 'totalBookings', title: 'Total Bookings', format: (v) => `${v || 0}`, decimals: 0, hint: (data) => [data.pendingBookings && `plus ${data.pendingBookings} pending`, data.declinedBookings && `${data.declinedBookings} declined`].filter(Boolean).join(', ') || null },
+    { key: 'totalNights', title: 'Total Nights Booked', format: (v) => `${v || 0}`, decimals: 0 },
+    { key: 'occupancyRate', title: 'Occupancy Rate', format: formatPercent, decimals: 1, formatDelta: (v) => `${v.toFixed(1)} pts`, hint: (data) => `of ${data.availableNights || 0} available nights` },
+    { key: 'revPar', title: 'RevPAR', format: formatCurrency, decimals: 2, hint: () => 'revenue per available night' },
+    { key: 'cancellationRate', title: 'Cancellation Rate', format: formatPercent, decimals: 1, formatDelta: (v) => `${v.toFixed(1)} pts`, lowerIsBetter: true },
+    { key: 'avgBookingValue', title: 'Avg. Booking Value', format: formatCurrency, decimals: 2 },
+    { key: 'avgNightlyRate', title: 'Avg. Nightly Rate', format: formatCurrency, decimals: 2 },
+    { key: 'netAdr', title: 'Net ADR', format: formatCurrency, decimals: 2, hint: () => 'net revenue per night' },
+    { key: 'avgLengthOfStay', title: 'Avg. Length of Stay', format: (v) => `${(v || 0).toFixed(1)} nights`, decimals: 1 },
+    { key: 'avgLeadTime', title: 'Avg. Lead Time', format: (v) => `${(v || 0).toFixed(1)} days`, decimals: 1 },
 ];
 
+// The mock bookings narrowed and normalized the same way the API would handle live data,
+// in the same shape as its response.
+const getMockData = ({ startDate, endDate, propertyId }) => {
+    const { bookings, issues, currency } = normalizeBookings(MOCK_BOOKINGS);
+    const inView = (b) => (!b.arrival || isStayInRange(b, startDate, endDate)) && (!propertyId || getPropertyId(b) === propertyId);
+    return { items: bookings.filter(inView), issues: issues.filter(inView), currency, meta: null };
+};
+
+// Checks whether a stay has at least one night within an optional YYYY-MM-DD range (inclusive).
+// The API does this for live data; it's only needed for the mock fallback.
+const isStayInRange = (booking, startDate, endDate) => {
+    const arrival = (booking.arrival || '').slice(0, 10);
+    const departure = (booking.departure || booking.arrival || '').slice(0, 10);
+    if (startDate && departure <= startDate) return false;
+    if (endDate && arrival > endDate) return false;
+    return true;
+};
+
+// Fetches bookings for a date range and property from the API proxy. The API normalizes
+// them already; doing it again here is cheap and keeps the views safe from raw records.
+const requestBookings = async ({ startDate, endDate, propertyId }) => {
+    const params = new URLSearchParams();
+    if (startDate) params.set('start', startDate);
+    if (endDate) params.set('end', endDate);
+    if (propertyId) params.set('propertyId', propertyId);
+
+    const response = await apiFetch(`/api/bookings?${params}`);
+
+    if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || `API call failed with status ${response.status}`);
+    }
+
+    const data = await response.json();
+    const { bookings, issues, currency } = normalizeBookings(data.items || [], { currency: data.currency });
+    return { ...data, items: bookings, issues: [...(data.issues || []), ...issues], currency };
+};
 
 // --- Main App Component ---
-export default function App() {
+export default function App({ user = null, onLogout = null }) {
     // --- STATE MANAGEMENT ---
-    const [allBookings, setAllBookings] = useState([]); // All bookings fetched from API
+    const [allBookings, setAllBookings] = useState([]); // Bookings in the selected range, fetched from API
+    const [bookingsMeta, setBookingsMeta] = useState(null); // Cache size and last sync details from the API
+    const [dataIssues, setDataIssues] = useState([]); // Records normalization had to fix or leave out
+    const [mainCurrency, setMainCurrency] = useState(DEFAULT_CURRENCY); // The currency most bookings are in
+    const [selectedCurrency, setSelectedCurrency] = useState(''); // The currency picked to show figures in, if not the main one
+    const [syncVersion, setSyncVersion] = useState(0); // Bumped after each sync so other views refetch
+    const lastChangeSeen = useRef(null); // The server's lastChangedAt as of our last load
+    const latestBookingsRequest = useRef(0); // Counts bookings requests so only the newest one's response is used
+    const latestComparisonRequest = useRef(0); // The same for the comparison bookings
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
     const [activeView, setActiveView] = useState('dashboard');
@@ -38,165 +119,256 @@ export default function App() {
     const [startDate, setStartDate] = useState('');
     const [endDate, setEndDate] = useState('');
 
-    // AI Insights State
-    const [isGeneratingInsights, setIsGeneratingInsights] = useState(false);
-    const [insights, setInsights] = useState('');
-    const [insightsError, setInsightsError] = useState(null);
-    const [userQuestion, setUserQuestion] = useState(''); // State for the user's question
+    // Property State
+    const [properties, setProperties] = useState([]); // Properties on the Lodgify account
+    const [selectedPropertyId, setSelectedPropertyId] = useState(''); // Empty means all properties
+    const [splitByProperty, setSplitByProperty] = useState(false); // Split the charts by property
+
+    // Comparison State
+    const [comparisonMode, setComparisonMode] = useState(''); // '', 'previous' or 'year'
+    const [comparisonBookings, setComparisonBookings] = useState([]); // Bookings in the comparison range
+
+    // Financials
+    const [commissionRates, setCommissionRates] = useStoredState('lodgify-commission-rates', DEFAULT_COMMISSION_RATES); // % per channel
+    const [channelRevenueBasis, setChannelRevenueBasis] = useState('gross'); // 'gross' or 'net' in the revenue pie
 
     // --- API & DATA FETCHING ---
     useEffect(() => {
-        fetchBookings();
+        fetchProperties();
     }, []);
 
+    // The proxy filters by date range and property, so we refetch whenever they change.
+    useEffect(() => {
+        fetchBookings();
+    }, [startDate, endDate, selectedPropertyId]);
+
+    // The range to compare against, or null when comparison is off or the range is open-ended
+    const comparisonRange = useMemo(() => getComparisonRange(startDate, endDate, comparisonMode), [startDate, endDate, comparisonMode]);
+
+    useEffect(() => {
+        fetchComparisonBookings();
+    }, [comparisonRange, selectedPropertyId]);
+
+    // Live updates: poll the sync status and reload when webhooks (or another tab's refresh)
+    // changed the cached bookings. The Refresh button remains the manual fallback.
+    useEffect(() => {
+        const checkForChanges = async () => {
+            try {
+                const response = await apiFetch('/api/sync');
+                if (!response.ok) return;
+                const { lastChangedAt = null } = await response.json();
+                if (lastChangeSeen.current && lastChangedAt !== lastChangeSeen.current) reloadAll();
+                lastChangeSeen.current = lastChangedAt;
+            } catch (err) {
+                // Polling is best-effort; try again on the next tick.
+            }
+        };
+        checkForChanges();
+        const timer = setInterval(checkForChanges, LIVE_UPDATE_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [startDate, endDate, selectedPropertyId, comparisonRange]);
+
+    const fetchProperties = async () => {
+        try {
+            const response = await apiFetch('/api/properties');
+            if (!response.ok) throw new Error(`API call failed with status ${response.status}`);
+            const data = await response.json();
+            setProperties(data.items || []);
+        } catch (err) {
+            // Not fatal: bookings still carry their property id, we just can't show names.
+            console.error("Error fetching properties:", err);
+            setProperties(MOCK_PROPERTIES);
+        }
+    };
+
+    // Changing the range or property while a request is out can let the older response arrive
+    // after the newer one, so a response is only used if no request was made since.
     const fetchBookings = async () => {
+        const request = ++latestBookingsRequest.current;
+        const isStale = () => request !== latestBookingsRequest.current;
         setIsLoading(true);
         setError(null);
         
-        const API_PROXY_URL = '/api/bookings';
-
         try {
-            const response = await fetch(API_PROXY_URL);
+            const data = await requestBookings({ startDate, endDate, propertyId: selectedPropertyId });
+            if (isStale()) return;
+            setAllBookings(data.items);
+            setBookingsMeta(data.meta || null);
+            setDataIssues(data.issues);
+            setMainCurrency(data.currency);
 
+        } catch (err) {
+            if (isStale()) return;
+            console.error("Error fetching bookings:", err);
+            let detailedError = `Failed to fetch bookings from the server. This could mean the Lodgify API key is missing or incorrect in your Vercel project settings. The app is showing sample data. Error: ${err.message}`;
+            setError(detailedError);
+            const data = getMockData({ startDate, endDate, propertyId: selectedPropertyId });
+            setAllBookings(data.items);
+            setBookingsMeta(null);
+            setDataIssues(data.issues);
+            setMainCurrency(data.currency);
+        } finally {
+            if (!isStale()) setIsLoading(false);
+        }
+    };
+
+    // The Refresh button asks the server to pull in changes from Lodgify, then reloads from its cache.
+    const handleRefresh = async () => {
+        setIsLoading(true);
+        try {
+            const response = await apiFetch('/api/sync', { method: 'POST' });
             if (!response.ok) {
                 const errorData = await response.json();
-                throw new Error(errorData.error || `API call failed with status ${response.status}`);
+                throw new Error(errorData.error || `Sync failed with status ${response.status}`);
             }
+        } catch (err) {
+            // Still reload: the cache may be slightly stale, but it's better than nothing.
+            console.error("Error syncing bookings:", err);
+        }
+        // Our own sync shouldn't trigger another reload from the change poll.
+        lastChangeSeen.current = null;
+        await reloadAll();
+    };
 
-            const data = await response.json();
-            setAllBookings(data.items || []);
+    // Reloads every view from the server's cache.
+    const reloadAll = () => {
+        setSyncVersion(version => version + 1);
+        return Promise.all([fetchBookings(), fetchComparisonBookings()]);
+    };
+
+    // Like fetchBookings, only the newest request's response is used, so switching the
+    // comparison mode or the range can't leave the deltas on an older range.
+    const fetchComparisonBookings = async () => {
+        const request = ++latestComparisonRequest.current;
+        if (!comparisonRange) {
+            setComparisonBookings([]);
+            return;
+        }
+
+        const items = await loadBookings({ ...comparisonRange, propertyId: selectedPropertyId });
+        if (request === latestComparisonRequest.current) setComparisonBookings(items);
+    };
 
+    // Loads bookings for a range other than the selected one (comparison, calendar).
+    // The main fetch already surfaces API errors, so this quietly falls back to sample data.
+    const loadBookings = async (range) => {
+        try {
+            const data = await requestBookings(range);
+            return data.items;
         } catch (err) {
             console.error("Error fetching bookings:", err);
-            let detailedError = `Failed to fetch bookings from the server. This could mean the Lodgify API key is missing or incorrect in your Vercel project settings. The app is showing sample data. Error: ${err.message}`;
-            setError(detailedError);
-            setAllBookings(MOCK_BOOKINGS);
-        } finally {
-            setIsLoading(false);
+            return getMockData(range).items;
         }
     };
     
     // --- DATA PROCESSING & MEMOIZATION ---
-    // This hook recalculates data only when bookings or date range change
+    // Map of property id -> name, used to label tables and chart series
+    const propertyNames = useMemo(() => {
+        const names = {};
+        properties.forEach(p => { names[String(p.id)] = p.name; });
+        return names;
+    }, [properties]);
+
+    // Options for the property selector: known properties plus any only seen on bookings
+    const propertyOptions = useMemo(() => {
+        const ids = new Set(properties.map(p => String(p.id)));
+        allBookings.forEach(b => ids.add(getPropertyId(b)));
+        return [...ids].map(id => ({ id, name: getPropertyName(id, propertyNames) })).sort((a, b) => a.name.localeCompare(b.name));
+    }, [properties, allBookings, propertyNames]);
+
+    // Amounts in different currencies can't be added up, so the figures are for one currency
+    // at a time: the main one, unless another is picked. Without bookings in the main currency
+    // in view, the most used one is shown.
+    const currencies = useMemo(() => getCurrencies(allBookings, mainCurrency), [allBookings, mainCurrency]);
+    const currency = currencies.includes(selectedCurrency) ? selectedCurrency : (currencies[0] || mainCurrency);
+
+    // This hook recalculates data only when bookings, properties, the date range or the comparison change
     const processedData = useMemo(() => {
         if (!allBookings) return {};
 
-        // 1. Filter bookings by the selected date range
-        const filteredBookings = allBookings.filter(booking => {
-            if (!startDate && !endDate) return true;
-            if (startDate && !endDate) return new Date(booking.arrival) >= new Date(startDate);
-            if (!startDate && endDate) return new Date(booking.arrival) <= new Date(endDate);
-            return new Date(booking.arrival) >= new Date(startDate) && new Date(booking.arrival) <= new Date(endDate);
-        });
-
-        const confirmedBookings = filteredBookings.filter(b => b.status === 'Booked');
-        const cancelledBookings = filteredBookings.filter(b => b.status === 'Cancelled');
+        // 1. The API has already filtered bookings to the selected date range and property.
+        // The figures below only count the ones priced in the currency shown.
+        const filteredBookings = allBookings;
+        const currencyBookings = filteredBookings.filter(b => b.currency_code === currency);
 
         // 2. Calculate KPIs
-        const totalRevenue = confirmedBookings.reduce((acc, b) => acc + (b.total_amount || 0), 0);
-        const totalBookings = confirmedBookings.length;
-        const totalNights = confirmedBookings.reduce((acc, b) => acc + ((new Date(b.departure) - new Date(b.arrival)) / (1000 * 3600 * 24) || 0), 0);
-        const avgBookingValue = totalBookings > 0 ? totalRevenue / totalBookings : 0;
-        const avgNightlyRate = totalNights > 0 ? totalRevenue / totalNights : 0;
-        const avgLengthOfStay = totalBookings > 0 ? totalNights / totalBookings : 0;
-        const totalLeadTime = confirmedBookings.reduce((acc, b) => {
-            if (!b.creation_date) return acc;
-            const leadDays = (new Date(b.arrival) - new Date(b.creation_date)) / (1000 * 3600 * 24);
-            return acc + (leadDays > 0 ? leadDays : 0);
-        }, 0);
-        const avgLeadTime = totalBookings > 0 ? totalLeadTime / totalBookings : 0;
-        const cancellationRate = filteredBookings.length > 0 ? (cancelledBookings.length / filteredBookings.length) * 100 : 0;
+        // Nights and revenue are prorated to the range; occupancy counts every property in view.
+        const propertyCount = selectedPropertyId ? 1 : Math.max(propertyOptions.length, 1);
+        const { window, confirmedBookings, pendingBookings, declinedBookings, totalRevenue, totalBookings, totalNights, avgBookingValue, avgNightlyRate, avgLengthOfStay, avgLeadTime, cancellationRate, availableNights, occupancyRate, revPar } = computeKpis(currencyBookings, { startDate, endDate, propertyCount });
+
+        // Bookings and revenue in each currency, so what isn't counted above is still on screen
+        const currencyTotals = currencies.map(code => {
+            const kpis = computeKpis(filteredBookings.filter(b => b.currency_code === code), { window });
+            return { currency: code, bookings: kpis.totalBookings, revenue: kpis.totalRevenue };
+        });
         
-        // 3. Prepare data for charts
-        const monthlyData = {};
+        // 3. Line items, net of taxes and the channels' commission
+        const financials = computeFinancialTotals(confirmedBookings, window, commissionRates);
+
+        // 4. Prepare data for charts
         const channelData = {};
-        const monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+        const propertyRevenueData = {};
+        const chartProperties = {};
         confirmedBookings.forEach(booking => {
-            const month = new Date(booking.arrival).getMonth();
-            const monthName = monthNames[month];
-            if (!monthlyData[month]) monthlyData[month] = { name: monthName, monthIndex: month, bookings: 0 };
-            monthlyData[month].bookings += 1;
+            const stayRevenue = prorateStay(booking, window).revenue;
+            const stayNetRevenue = computeFinancialTotals([booking], window, commissionRates).net;
+            const propertyId = getPropertyId(booking);
+            const propertyName = getPropertyName(propertyId, propertyNames);
+            chartProperties[propertyId] = { id: propertyId, name: propertyName, key: propertySeriesKey(propertyId) };
             const source = booking.source || 'Unknown';
-            if (!channelData[source]) channelData[source] = { name: source, revenue: 0 };
-            channelData[source].revenue += (booking.total_amount || 0);
+            if (!channelData[source]) channelData[source] = { name: source, revenue: 0, netRevenue: 0 };
+            channelData[source].revenue += stayRevenue;
+            channelData[source].netRevenue += stayNetRevenue;
+            if (!propertyRevenueData[propertyId]) propertyRevenueData[propertyId] = { name: propertyName, revenue: 0, netRevenue: 0 };
+            propertyRevenueData[propertyId].revenue += stayRevenue;
+            propertyRevenueData[propertyId].netRevenue += stayNetRevenue;
         });
-        const bookingsByMonth = Object.values(monthlyData).sort((a, b) => a.monthIndex - b.monthIndex);
+        const bookingsByMonth = groupBookingsByMonth(confirmedBookings, window);
         const revenueByChannel = Object.values(channelData);
-
-        return { totalRevenue, totalBookings, avgBookingValue, avgNightlyRate, bookingsByMonth, revenueByChannel, totalNights, avgLengthOfStay, avgLeadTime, cancellationRate, filteredBookings };
-    }, [allBookings, startDate, endDate]);
-
-
-    // --- AI INSIGHTS GENERATION ---
-    const handleAskAI = async (e) => {
-        e.preventDefault();
-        const question = userQuestion.trim();
-        if (!question) {
-            setInsightsError("Please enter a question.");
-            return;
+        const revenueByProperty = Object.values(propertyRevenueData);
+        const propertySeries = Object.values(chartProperties).sort((a, b) => a.name.localeCompare(b.name));
+        const propertyBreakdown = computePropertyBreakdown(currencyBookings, propertyNames, { startDate, endDate });
+
+        // 5. Comparison period: the same KPIs, plus its months lined up with ours by position
+        let comparison = null;
+        if (comparisonRange) {
+            comparison = computeKpis(comparisonBookings.filter(b => b.currency_code === currency), { ...comparisonRange, propertyCount });
+            const comparisonFinancials = computeFinancialTotals(comparison.confirmedBookings, comparison.window, commissionRates);
+            comparison = { ...comparison, netRevenue: comparisonFinancials.net, netAdr: comparisonFinancials.netAdr };
+            const comparisonMonths = groupBookingsByMonth(comparison.confirmedBookings, comparison.window);
+            bookingsByMonth.forEach((month, index) => {
+                month.comparisonBookings = comparisonMonths[index]?.bookings || 0;
+                month.comparisonName = comparisonMonths[index]?.name;
+            });
         }
 
-        if (!processedData.filteredBookings || processedData.filteredBookings.length === 0) {
-            setInsightsError("No booking data available in the selected date range to analyze.");
-            return;
-        }
+        return { totalRevenue, totalBookings, pendingBookings, declinedBookings, avgBookingValue, avgNightlyRate, bookingsByMonth, revenueByChannel, revenueByProperty, propertySeries, propertyBreakdown, totalNights, avgLengthOfStay, avgLeadTime, cancellationRate, availableNights, occupancyRate, revPar, financials, netRevenue: financials.net, netAdr: financials.netAdr, comparison, filteredBookings, currencyBookings, currencyTotals };
+    }, [allBookings, comparisonBookings, comparisonRange, propertyNames, propertyOptions, startDate, endDate, selectedPropertyId, commissionRates, currencies, currency]);
 
-        setIsGeneratingInsights(true);
-        setInsights('');
-        setInsightsError(null);
-
-        const systemPrompt = `You are a vacation rental data analyst. Your task is to answer questions based ONLY on the provided booking data. Do not make up information. If the data does not contain the answer, state that clearly. Be concise and direct in your answers. **Format your response using markdown with paragraphs, bold headings, and bullet points for clarity.**`;
-
-        // The AI doesn't need all the raw data, just what's relevant.
-        const simplifiedData = processedData.filteredBookings.map(b => ({
-            arrival: b.arrival,
-            departure: b.departure,
-            nights: (new Date(b.departure) - new Date(b.arrival)) / (1000 * 60 * 60 * 24),
-            total_amount: b.total_amount,
-            source: b.source,
-            status: b.status,
-            creation_date: b.creation_date
-        }));
-            
-        const userQuery = `
-        Here is the booking data for the selected period in JSON format:
-        ${JSON.stringify(simplifiedData, null, 2)}
-
-        ---
-        Please answer the following question based on the data above:
-        "${question}"
-        `;
-
-        const insightsApiUrl = '/api/generate-insights';
 
-        try {
-            const response = await fetch(insightsApiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    contents: [{ parts: [{ text: userQuery }] }],
-                    systemInstruction: { parts: [{ text: systemPrompt }] }
-                }),
-            });
+    // --- EXPORTS ---
+    // File names carry the selected range, e.g. bookings_2024-01-01_2024-03-31.csv
+    const exportFileName = (prefix, extension) => `${prefix}_${startDate || 'start'}_${endDate || 'end'}.${extension}`;
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || `Insights API error: ${response.status}`);
-            }
-
-            const result = await response.json();
-            const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
-            if (text) setInsights(text); else throw new Error("Received an empty response from the AI.");
+    const buildCurrentReport = () => buildReport(processedData, STAT_CARDS, {
+        startDate,
+        endDate,
+        propertyLabel: selectedPropertyId ? getPropertyName(selectedPropertyId, propertyNames) : 'All properties',
+        comparisonLabel: COMPARISON_MODES[comparisonMode],
+        currency,
+    });
 
+    const handleExport = async (kind) => {
+        try {
+            if (kind === 'bookings-csv') await exportBookingsCsv(processedData.filteredBookings, propertyNames, exportFileName('bookings', 'csv'));
+            if (kind === 'report-csv') await exportReportCsv(buildCurrentReport(), exportFileName('kpi-report', 'csv'));
+            if (kind === 'xlsx') await exportWorkbook(processedData.filteredBookings, buildCurrentReport(), propertyNames, exportFileName('bookings-report', 'xlsx'));
         } catch (err) {
-            console.error("Error generating insights:", err);
-            setInsightsError(`Failed to get an answer. ${err.message}`);
-        } finally {
-            setIsGeneratingInsights(false);
-            setUserQuestion(''); // Clear the input field
+            console.error("Error exporting:", err);
+            setError(`Failed to export. ${err.message}`);
         }
     };
-    
+
     // Main App Layout
     return (
         <div className="flex h-screen bg-gray-100 font-sans">
@@ -205,15 +377,25 @@ export default function App() {
                 <nav className="flex-grow p-4 space-y-2">
                     <a href="#" onClick={() => setActiveView('dashboard')} className={`flex items-center px-4 py-2 text-gray-700 rounded-lg transition-colors ${activeView === 'dashboard' ? 'bg-blue-100 text-blue-700' : 'hover:bg-gray-100'}`}><LayoutDashboard className="w-5 h-5 mr-3" /> Dashboard</a>
                     <a href="#" onClick={() => setActiveView('bookings')} className={`flex items-center px-4 py-2 text-gray-700 rounded-lg transition-colors ${activeView === 'bookings' ? 'bg-blue-100 text-blue-700' : 'hover:bg-gray-100'}`}><Hotel className="w-5 h-5 mr-3" /> All Bookings</a>
+                    <a href="#" onClick={() => setActiveView('calendar')} className={`flex items-center px-4 py-2 text-gray-700 rounded-lg transition-colors ${activeView === 'calendar' ? 'bg-blue-100 text-blue-700' : 'hover:bg-gray-100'}`}><CalendarRange className="w-5 h-5 mr-3" /> Calendar</a>
+                    <a href="#" onClick={() => setActiveView('pace')} className={`flex items-center px-4 py-2 text-gray-700 rounded-lg transition-colors ${activeView === 'pace' ? 'bg-blue-100 text-blue-700' : 'hover:bg-gray-100'}`}><TrendingUp className="w-5 h-5 mr-3" /> Pace & Forecast</a>
+                    <a href="#" onClick={() => setActiveView('statements')} className={`flex items-center px-4 py-2 text-gray-700 rounded-lg transition-colors ${activeView === 'statements' ? 'bg-blue-100 text-blue-700' : 'hover:bg-gray-100'}`}><Receipt className="w-5 h-5 mr-3" /> Owner Statements</a>
                 </nav>
+                {user && (
+                    <div className="flex items-center justify-between p-4 border-t">
+                        <div className="min-w-0"><p className="text-sm font-semibold text-gray-800 truncate">{user.name}</p><p className="text-xs text-gray-500 capitalize">{user.role}</p></div>
+                        {onLogout && <button onClick={onLogout} title="Sign out" className="p-2 text-gray-500 rounded-lg hover:bg-gray-100 hover:text-gray-700 transition-colors"><LogOut className="w-5 h-5" /></button>}
+                    </div>
+                )}
             </aside>
 
             <main className="flex-1 p-6 overflow-y-auto">
                 <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
-                    <h1 className="text-3xl font-bold text-gray-800">{activeView === 'dashboard' ? 'Analytics Dashboard' : 'All Bookings'}</h1>
+                    <h1 className="text-3xl font-bold text-gray-800">{VIEW_TITLES[activeView]}</h1>
                     <div className="flex items-center gap-4">
                         <div className="flex items-center gap-2"><CalendarIcon className="w-5 h-5 text-gray-500" /><input type="date" value={startDate} onChange={e => setStartDate(e.target.value)} className="px-2 py-1 text-sm border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500" /><span className="text-gray-500">-</span><input type="date" value={endDate} onChange={e => setEndDate(e.target.value)} className="px-2 py-1 text-sm border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500" /></div>
-                        <button onClick={fetchBookings} disabled={isLoading} className="flex items-center px-4 py-2 text-sm font-semibold text-blue-600 bg-white border border-blue-300 rounded-lg shadow-sm hover:bg-blue-50 disabled:bg-gray-100 disabled:cursor-not-allowed transition-colors"><RefreshCw className={`w-4 h-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />{isLoading ? 'Refreshing...' : 'Refresh'}</button>
+                        <div className="flex items-center gap-2"><Building2 className="w-5 h-5 text-gray-500" /><select value={selectedPropertyId} onChange={e => setSelectedPropertyId(e.target.value)} className="px-2 py-1 text-sm border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"><option value="">All properties</option>{propertyOptions.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}</select></div>
+                        <button onClick={handleRefresh} disabled={isLoading} className="flex items-center px-4 py-2 text-sm font-semibold text-blue-600 bg-white border border-blue-300 rounded-lg shadow-sm hover:bg-blue-50 disabled:bg-gray-100 disabled:cursor-not-allowed transition-colors"><RefreshCw className={`w-4 h-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />{isLoading ? 'Refreshing...' : 'Refresh'}</button>
                     </div>
                 </div>
 
@@ -222,41 +404,57 @@ export default function App() {
                 ) : (
                     <>
                         {error && <div className="p-4 mb-4 text-sm text-yellow-800 bg-yellow-100 border border-yellow-300 rounded-lg flex items-center" role="alert"><AlertTriangle className="w-5 h-5 mr-3" /><div><span className="font-medium">Warning:</span> {error}</div></div>}
+                        {bookingsMeta && <p className="mb-4 text-xs text-gray-500">Showing {allBookings.length} of {bookingsMeta.totalCount} cached bookings{bookingsMeta.fetchedAt && ` (last ${bookingsMeta.syncMode ? `${bookingsMeta.syncMode} ` : ''}sync with Lodgify at ${new Date(bookingsMeta.fetchedAt).toLocaleString()})`}</p>}
                         
                         {activeView === 'dashboard' && processedData.bookingsByMonth && (
                             <div className="space-y-6">
-                                <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4">
-                                    <StatCard title="Total Revenue" value={`$${(processedData.totalRevenue || 0).toFixed(2)}`} /><StatCard title="Total Bookings" value={processedData.totalBookings || 0} /><StatCard title="Total Nights Booked" value={processedData.totalNights || 0} /><StatCard title="Cancellation Rate" value={`${(processedData.cancellationRate || 0).toFixed(1)}%`} /><StatCard title="Avg. Booking Value" value={`$${(processedData.avgBookingValue || 0).toFixed(2)}`} /><StatCard title="Avg. Nightly Rate" value={`$${(processedData.avgNightlyRate || 0).toFixed(2)}`} /><StatCard title="Avg. Length of Stay" value={`${(processedData.avgLengthOfStay || 0).toFixed(1)} nights`} /><StatCard title="Avg. Lead Time" value={`${(processedData.avgLeadTime || 0).toFixed(1)} days`} />
+                                <div className="flex flex-wrap items-center gap-6 text-sm text-gray-600">
+                                    <label className="flex items-center gap-2">Compare to<select value={comparisonMode} onChange={e => setComparisonMode(e.target.value)} className="px-2 py-1 text-sm border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"><option value="">Nothing</option>{Object.entries(COMPARISON_MODES).map(([mode, label]) => <option key={mode} value={mode}>{label}</option>)}</select></label>
+                                    {comparisonMode && !comparisonRange && <span className="text-gray-500">Select a start and end date to compare.</span>}
+                                    {comparisonRange && <span className="text-gray-500">Comparing with {comparisonRange.startDate} to {comparisonRange.endDate}</span>}
+                                    <label className="flex items-center gap-2"><input type="checkbox" checked={splitByProperty} onChange={e => setSplitByProperty(e.target.checked)} className="rounded border-gray-300" />Split charts by property</label>
+                                    <ExportButtons onCsv={() => handleExport('report-csv')} onXlsx={() => handleExport('xlsx')} />
                                 </div>
-                                <div className="grid grid-cols-1 gap-6 lg:grid-cols-5">
-                                    <div className="lg:col-span-3 p-4 bg-white border rounded-xl shadow"><h3 className="font-semibold text-gray-700">Bookings per Month</h3><ResponsiveContainer width="100%" height={300}><BarChart data={processedData.bookingsByMonth} margin={{ top: 20, right: 30, left: 0, bottom: 5 }}><CartesianGrid strokeDasharray="3 3" vertical={false} /><XAxis dataKey="name" /><YAxis allowDecimals={false} /><Tooltip wrapperClassName="rounded-md border bg-white shadow-sm" /><Bar dataKey="bookings" fill="#3b82f6" radius={[4, 4, 0, 0]} /></BarChart></ResponsiveContainer></div>
-                                    <div className="lg:col-span-2 p-4 bg-white border rounded-xl shadow"><h3 className="font-semibold text-gray-700">Revenue by Channel</h3><ResponsiveContainer width="100%" height={300}><PieChart><Pie data={processedData.revenueByChannel} dataKey="revenue" nameKey="name" cx="50%" cy="50%" outerRadius={80} label>{processedData.revenueByChannel.map((entry, index) => <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />)}</Pie><Tooltip formatter={(value) => `$${Number(value).toFixed(2)}`} /><Legend /></PieChart></ResponsiveContainer></div>
+                                {currencies.length > 1 && <CurrencyTotals totals={processedData.currencyTotals} currency={currency} onSelect={setSelectedCurrency} />}
+                                <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4 xl:grid-cols-6">
+                                    {STAT_CARDS.map(card => <StatCard key={card.key} title={card.title} value={card.format(processedData[card.key], currency)} hint={card.hint?.(processedData)} current={processedData[card.key]} previous={processedData.comparison?.[card.key]} formatDelta={(value) => (card.formatDelta || card.format)(value, currency)} lowerIsBetter={card.lowerIsBetter} />)}
                                 </div>
-                                <div className="p-6 bg-white border rounded-xl shadow">
-                                    <div className="flex items-center mb-4"><BrainCircuit className="w-8 h-8 text-purple-600" /><h2 className="ml-3 text-2xl font-bold text-gray-800">Ask a Question About Your Bookings</h2></div>
-                                    <div className="p-4 bg-gray-50 rounded-lg min-h-[150px] prose prose-sm max-w-none">{isGeneratingInsights && <p className="text-gray-500">The AI is thinking...</p>}{insightsError && <p className="text-red-600">{insightsError}</p>}{insights && <div dangerouslySetInnerHTML={{ __html: parseMarkdown(insights) }} />}{!isGeneratingInsights && !insights && !insightsError && <p className="text-gray-500">Ask a question like "How many bookings did I get from Airbnb?" or "What was my total revenue in October?" for the selected date range.</p>}</div>
-                                    <form onSubmit={handleAskAI} className="flex items-center gap-2 mt-4">
-                                        <input type="text" value={userQuestion} onChange={e => setUserQuestion(e.target.value)} placeholder="Ask your question..." className="flex-grow w-full px-3 py-2 text-gray-800 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500" />
-                                        <button type="submit" disabled={isGeneratingInsights} className="px-4 py-2 font-semibold text-white bg-purple-600 rounded-lg shadow-md hover:bg-purple-700 disabled:bg-purple-300 disabled:cursor-not-allowed flex items-center"><Send className="w-4 h-4 mr-2" />{isGeneratingInsights ? 'Asking...' : 'Ask'}</button>
-                                    </form>
+                                <FinancialBreakdown financials={processedData.financials} currency={currency} />
+                                <div className="grid grid-cols-1 gap-6 lg:grid-cols-5">
+                                    <div className="lg:col-span-3 p-4 bg-white border rounded-xl shadow"><h3 className="font-semibold text-gray-700">Bookings per Month</h3><ResponsiveContainer width="100%" height={300}><BarChart data={processedData.bookingsByMonth} margin={{ top: 20, right: 30, left: 0, bottom: 5 }}><CartesianGrid strokeDasharray="3 3" vertical={false} /><XAxis dataKey="name" /><YAxis allowDecimals={false} /><Tooltip wrapperClassName="rounded-md border bg-white shadow-sm" />{splitByProperty ? <>{processedData.propertySeries.map((series, index) => <Bar key={series.key} dataKey={series.key} name={series.name} stackId="property" fill={COLORS[index % COLORS.length]} />)}<Legend /></> : <Bar dataKey="bookings" name="Bookings" fill="#3b82f6" radius={[4, 4, 0, 0]} />}{processedData.comparison && <><Bar dataKey="comparisonBookings" name={COMPARISON_MODES[comparisonMode]} fill="#9ca3af" radius={[4, 4, 0, 0]} />{!splitByProperty && <Legend />}</>}</BarChart></ResponsiveContainer></div>
+                                    <div className="lg:col-span-2 p-4 bg-white border rounded-xl shadow"><div className="flex items-center justify-between"><h3 className="font-semibold text-gray-700">{splitByProperty ? 'Revenue by Property' : 'Revenue by Channel'}</h3><div className="flex text-xs border border-gray-300 rounded-md overflow-hidden">{['gross', 'net'].map(basis => <button key={basis} onClick={() => setChannelRevenueBasis(basis)} className={`px-2 py-1 capitalize ${channelRevenueBasis === basis ? 'bg-blue-100 text-blue-700' : 'bg-white text-gray-600 hover:bg-gray-50'}`}>{basis}</button>)}</div></div><ResponsiveContainer width="100%" height={300}><PieChart><Pie data={splitByProperty ? processedData.revenueByProperty : processedData.revenueByChannel} dataKey={channelRevenueBasis === 'net' ? 'netRevenue' : 'revenue'} nameKey="name" cx="50%" cy="50%" outerRadius={80} label>{(splitByProperty ? processedData.revenueByProperty : processedData.revenueByChannel).map((entry, index) => <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />)}</Pie><Tooltip formatter={(value) => formatCurrency(Number(value), currency)} /><Legend /></PieChart></ResponsiveContainer></div>
                                 </div>
+                                <PropertyComparisonTable rows={processedData.propertyBreakdown} currency={currency} />
+                                <DataIssues issues={dataIssues} propertyNames={propertyNames} />
+                                <AiChat user={user} startDate={startDate} endDate={endDate} propertyId={selectedPropertyId} hasBookings={processedData.filteredBookings.length > 0} />
                             </div>
                         )}
+                        {activeView === 'calendar' && (
+                            <OccupancyCalendar currency={currency} propertyOptions={propertyOptions} propertyNames={propertyNames} selectedPropertyId={selectedPropertyId} initialMonth={(startDate || new Date().toISOString()).slice(0, 7)} loadBookings={loadBookings} refreshKey={syncVersion} colors={COLORS} />
+                        )}
+                        {activeView === 'pace' && (
+                            <PaceReport currency={currency} selectedPropertyId={selectedPropertyId} loadBookings={loadBookings} refreshKey={syncVersion} />
+                        )}
+                        {activeView === 'statements' && (
+                            <OwnerStatements currency={currency} bookings={processedData.currencyBookings} propertyNames={propertyNames} startDate={startDate} endDate={endDate} commissionRates={commissionRates} onCommissionRatesChange={setCommissionRates} />
+                        )}
                         {activeView === 'bookings' && (
                            <div className="p-6 bg-white border rounded-xl shadow">
+                                <div className="flex justify-end mb-4"><ExportButtons onCsv={() => handleExport('bookings-csv')} onXlsx={() => handleExport('xlsx')} /></div>
                                 <div className="overflow-x-auto">
                                     <table className="min-w-full divide-y divide-gray-200">
                                         <thead className="bg-gray-50">
-                                            <tr><th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">Guest</th><th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">Dates</th><th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">Source</th><th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">Total</th><th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">Status</th></tr>
+                                            <tr><th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">Guest</th><th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">Property</th><th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">Dates</th><th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">Source</th><th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">Total</th><th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">Status</th></tr>
                                         </thead>
                                         <tbody className="bg-white divide-y divide-gray-200">
                                             {processedData.filteredBookings.slice().sort((a, b) => new Date(a.arrival) - new Date(b.arrival)).map(booking => (
                                                 <tr key={booking.id} className="hover:bg-gray-50">
                                                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{booking.guest?.name || 'N/A'}</td>
+                                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{getPropertyName(getPropertyId(booking), propertyNames)}</td>
                                                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{booking.arrival} to {booking.departure}</td>
                                                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{booking.source}</td>
-                                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${(booking.total_amount || 0).toFixed(2)}</td>
-                                                    <td className="px-6 py-4 whitespace-nowrap"><span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${booking.status === 'Booked' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>{booking.status}</span></td>
+                                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatCurrency(booking.total_amount, booking.currency_code)}</td>
+                                                    <td className="px-6 py-4 whitespace-nowrap"><span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_BADGE_CLASSES[getStatusGroup(booking)]}`}>{booking.status}</span></td>
                                                 </tr>
                                             ))}
                                         </tbody>
@@ -271,12 +469,88 @@ export default function App() {
     );
 }
 
+// Where the gross revenue in the range goes, and how much of it has been paid
+const FinancialBreakdown = ({ financials, currency }) => (
+    <div className="p-4 bg-white border rounded-xl shadow">
+        <h3 className="mb-3 font-semibold text-gray-700">Revenue Breakdown</h3>
+        <div className="grid grid-cols-2 gap-4 text-sm sm:grid-cols-4 lg:grid-cols-8">
+            {[['Gross', financials.gross], ['Room Revenue', financials.room], ['Cleaning & Fees', financials.fees], ['Taxes', financials.taxes], ['OTA Commission', financials.commission], ['Net Revenue', financials.net], ['Payments Received', financials.paid], ['Balance Due', financials.due]].map(([label, value]) => (
+                <div key={label}><p className="text-gray-500">{label}</p><p className="font-semibold text-gray-900">{formatCurrency(value, currency)}</p></div>
+            ))}
+        </div>
+    </div>
+);
+
+// CSV / XLSX download buttons
+const ExportButtons = ({ onCsv, onXlsx }) => (
+    <div className="flex items-center gap-2 ml-auto">
+        <button onClick={onCsv} className="flex items-center px-3 py-1 text-sm font-semibold text-gray-700 bg-white border border-gray-300 rounded-lg shadow-sm hover:bg-gray-50 transition-colors"><Download className="w-4 h-4 mr-2" />CSV</button>
+        <button onClick={onXlsx} className="flex items-center px-3 py-1 text-sm font-semibold text-gray-700 bg-white border border-gray-300 rounded-lg shadow-sm hover:bg-gray-50 transition-colors"><Download className="w-4 h-4 mr-2" />Excel</button>
+    </div>
+);
+
+// Bookings and revenue per currency; picking one shows the figures below in it
+const CurrencyTotals = ({ totals, currency, onSelect }) => (
+    <div className="flex flex-wrap items-center gap-2 mb-5 text-sm">
+        <span className="text-gray-500">Bookings by currency:</span>
+        {totals.map(total => (
+            <button key={total.currency} onClick={() => onSelect(total.currency)} className={`px-3 py-1 border rounded-lg transition-colors ${total.currency === currency ? 'bg-blue-100 text-blue-700 border-blue-300' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}>
+                {total.currency}: {total.bookings} {total.bookings === 1 ? 'booking' : 'bookings'}, {formatCurrency(total.revenue, total.currency)}
+            </button>
+        ))}
+    </div>
+);
+
 // A reusable component for displaying key statistics
-const StatCard = ({ title, value }) => (
+// When a `previous` value is given, it also shows the change against the comparison period
+const StatCard = ({ title, value, hint, current, previous, formatDelta, lowerIsBetter }) => (
     <div className="p-5 bg-white border rounded-xl shadow">
         <h4 className="text-sm font-medium text-gray-500">{title}</h4>
         <p className="mt-1 text-2xl font-bold text-gray-800">{value}</p>
+        {hint && <p className="mt-1 text-xs text-gray-400">{hint}</p>}
+        {previous !== undefined && <StatDelta current={current || 0} previous={previous || 0} formatDelta={formatDelta} lowerIsBetter={lowerIsBetter} />}
     </div>
 );
 
+// The absolute and percent change of a KPI against the comparison period
+const StatDelta = ({ current, previous, formatDelta, lowerIsBetter }) => {
+    const delta = current - previous;
+    const sign = delta > 0 ? '+' : delta < 0 ? '-' : '';
+    const percentChange = previous !== 0 ? (delta / Math.abs(previous)) * 100 : null;
+    const isBetter = lowerIsBetter ? delta < 0 : delta > 0;
+    const color = delta === 0 ? 'text-gray-500' : isBetter ? 'text-green-600' : 'text-red-600';
+    return (
+        <p className={`mt-1 text-xs font-medium ${color}`}>
+            {sign}{formatDelta(Math.abs(delta))} ({percentChange === null ? 'n/a' : `${percentChange > 0 ? '+' : ''}${percentChange.toFixed(1)}%`}) vs. comparison
+        </p>
+    );
+};
 
+// Per-property comparison of the core KPIs
+const PropertyComparisonTable = ({ rows, currency }) => (
+    <div className="p-6 bg-white border rounded-xl shadow">
+        <h3 className="mb-4 font-semibold text-gray-700">Property Comparison</h3>
+        <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                    <tr><th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">Property</th><th className="px-6 py-3 text-xs font-medium tracking-wider text-right text-gray-500 uppercase">Revenue</th><th className="px-6 py-3 text-xs font-medium tracking-wider text-right text-gray-500 uppercase">Nights</th><th className="px-6 py-3 text-xs font-medium tracking-wider text-right text-gray-500 uppercase">ADR</th><th className="px-6 py-3 text-xs font-medium tracking-wider text-right text-gray-500 uppercase">Cancellation Rate</th><th className="px-6 py-3 text-xs font-medium tracking-wider text-right text-gray-500 uppercase">Avg. Lead Time</th><th className="px-6 py-3 text-xs font-medium tracking-wider text-right text-gray-500 uppercase">Occupancy</th><th className="px-6 py-3 text-xs font-medium tracking-wider text-right text-gray-500 uppercase">RevPAR</th></tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                    {rows.map(row => (
+                        <tr key={row.id} className="hover:bg-gray-50">
+                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{row.name}</td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{formatCurrency(row.revenue, currency)}</td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{row.nights}</td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{formatCurrency(row.adr, currency)}</td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{row.cancellationRate.toFixed(1)}%</td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{row.leadTime.toFixed(1)} days</td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{row.occupancyRate.toFixed(1)}%</td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{formatCurrency(row.revPar, currency)}</td>
+                        </tr>
+                    ))}
+                    {rows.length === 0 && <tr><td colSpan={8} className="px-6 py-4 text-sm text-center text-gray-500">No bookings in the selected range.</td></tr>}
+                </tbody>
+            </table>
+        </div>
+    </div>
+);
@@ -0,0 +1,185 @@
+// --- Booking Metrics ---
+// Pure helpers that turn a list of Lodgify bookings into KPIs and chart data.
+// Kept out of the component so the dashboard views can share them. They expect
+// bookings that went through normalizeBookings() in normalize.js.
+
+const MS_PER_DAY = 1000 * 3600 * 24;
+
+export const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// Lodgify returns the property a booking belongs to as `property_id`.
+export const getPropertyId = (booking) => String(booking.property_id ?? 'unknown');
+
+// Resolves a display name for a property id, falling back to the id itself.
+export const getPropertyName = (propertyId, propertyNames = {}) => {
+    if (propertyNames[propertyId]) return propertyNames[propertyId];
+    return propertyId === 'unknown' ? 'Unknown property' : `Property ${propertyId}`;
+};
+
+// recharts treats dots in a dataKey as a path, so property series use a safe key.
+export const propertySeriesKey = (propertyId) => `property_${propertyId}`;
+
+// Converts a YYYY-MM-DD (or ISO) date into a whole day number in UTC, so that
+// night counts don't shift with the browser's time zone or daylight saving.
+export const toDayNumber = (dateString) => {
+    const [year, month, day] = String(dateString || '').slice(0, 10).split('-').map(Number);
+    if (!year || !month || !day) return NaN;
+    return Date.UTC(year, month - 1, day) / MS_PER_DAY;
+};
+
+// Formats a day number back into a YYYY-MM-DD string.
+export const fromDayNumber = (dayNumber) => new Date(dayNumber * MS_PER_DAY).toISOString().slice(0, 10);
+
+// Moves a YYYY-MM-DD date back a year, clamping Feb 29 to Feb 28.
+export const shiftYear = (dateString, years) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    let date = new Date(Date.UTC(year + years, month - 1, day));
+    if (date.getUTCMonth() !== month - 1) date = new Date(Date.UTC(year + years, month, 0));
+    return date.toISOString().slice(0, 10);
+};
+
+export const COMPARISON_MODES = {
+    previous: 'Previous period',
+    year: 'Same period last year',
+};
+
+// Works out the YYYY-MM-DD range to compare the selected one against.
+// Both ends of the selected range are needed; returns null otherwise.
+export const getComparisonRange = (startDate, endDate, mode) => {
+    if (!COMPARISON_MODES[mode] || !startDate || !endDate) return null;
+    if (mode === 'year') return { startDate: shiftYear(startDate, -1), endDate: shiftYear(endDate, -1) };
+    const start = toDayNumber(startDate);
+    const length = toDayNumber(endDate) - start + 1;
+    return { startDate: fromDayNumber(start - length), endDate: fromDayNumber(start - 1) };
+};
+
+// Number of nights in a stay (0 when the dates are missing or invalid).
+export const getStayNights = (booking) => {
+    const nights = toDayNumber(booking.departure) - toDayNumber(booking.arrival);
+    return nights > 0 ? nights : 0;
+};
+
+// Resolves the selected YYYY-MM-DD range into a [start, end) window of day numbers.
+// An open end of the range falls back to the earliest arrival / latest departure.
+export const resolveWindow = (bookings, startDate, endDate) => {
+    const arrivals = bookings.map(b => toDayNumber(b.arrival)).filter(Number.isFinite);
+    const departures = bookings.map(b => toDayNumber(b.departure)).filter(Number.isFinite);
+    const start = startDate ? toDayNumber(startDate) : Math.min(...arrivals);
+    const end = endDate ? toDayNumber(endDate) + 1 : Math.max(...departures); // endDate's night is included
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) return null;
+    return { start, end, days: end - start };
+};
+
+// Prorates a stay to the window: only nights inside it count, and revenue is
+// split evenly across the nights of the stay.
+export const prorateStay = (booking, window) => {
+    const stayNights = getStayNights(booking);
+    if (!window || stayNights === 0) return { nights: 0, revenue: 0 };
+    const nights = Math.max(0, Math.min(toDayNumber(booking.departure), window.end) - Math.max(toDayNumber(booking.arrival), window.start));
+    return { nights, revenue: (booking.total_amount || 0) * (nights / stayNights) };
+};
+
+// Calculates the headline KPIs for a set of bookings, prorated to the selected range.
+// `propertyCount` is the number of units the available nights are counted for, and
+// a precomputed `window` can be passed so several subsets share the same one.
+export const computeKpis = (bookings, { startDate = '', endDate = '', propertyCount = 1, window = resolveWindow(bookings, startDate, endDate) } = {}) => {
+    const inWindow = (b) => prorateStay(b, window).nights > 0;
+
+    const confirmedBookings = bookings.filter(b => b.status === 'Booked' && inWindow(b));
+    const cancelledBookings = bookings.filter(b => b.status === 'Cancelled' && inWindow(b));
+    // Not stays (yet), but counted so they don't silently disappear; see BOOKING_STATUSES in normalize.js.
+    const pendingBookings = bookings.filter(b => (b.status === 'Tentative' || b.status === 'Open') && inWindow(b)).length;
+    const declinedBookings = bookings.filter(b => b.status === 'Declined' && inWindow(b)).length;
+
+    const stays = confirmedBookings.map(b => prorateStay(b, window));
+    const totalRevenue = stays.reduce((acc, stay) => acc + stay.revenue, 0);
+    const totalBookings = confirmedBookings.length;
+    const totalNights = stays.reduce((acc, stay) => acc + stay.nights, 0);
+    const avgBookingValue = totalBookings > 0 ? confirmedBookings.reduce((acc, b) => acc + (b.total_amount || 0), 0) / totalBookings : 0;
+    const avgNightlyRate = totalNights > 0 ? totalRevenue / totalNights : 0;
+    const avgLengthOfStay = totalBookings > 0 ? confirmedBookings.reduce((acc, b) => acc + getStayNights(b), 0) / totalBookings : 0;
+    const totalLeadTime = confirmedBookings.reduce((acc, b) => {
+        if (!b.creation_date) return acc;
+        const leadDays = (new Date(b.arrival) - new Date(b.creation_date)) / MS_PER_DAY;
+        return acc + (leadDays > 0 ? leadDays : 0);
+    }, 0);
+    const avgLeadTime = totalBookings > 0 ? totalLeadTime / totalBookings : 0;
+    const consideredCount = confirmedBookings.length + cancelledBookings.length;
+    const cancellationRate = consideredCount > 0 ? (cancelledBookings.length / consideredCount) * 100 : 0;
+
+    // Occupancy and RevPAR are measured against every night each property could have been sold.
+    const availableNights = window ? window.days * propertyCount : 0;
+    const occupancyRate = availableNights > 0 ? (totalNights / availableNights) * 100 : 0;
+    const revPar = availableNights > 0 ? totalRevenue / availableNights : 0;
+
+    return { window, confirmedBookings, pendingBookings, declinedBookings, totalRevenue, totalBookings, totalNights, avgBookingValue, avgNightlyRate, avgLengthOfStay, avgLeadTime, cancellationRate, availableNights, occupancyRate, revPar };
+};
+
+// The year-month a day number falls in, e.g. { key: '2024-01', name: 'Jan 2024', ... }.
+const monthOfDay = (dayNumber) => {
+    const date = new Date(dayNumber * MS_PER_DAY);
+    const year = date.getUTCFullYear();
+    const monthIndex = date.getUTCMonth();
+    return { key: `${year}-${String(monthIndex + 1).padStart(2, '0')}`, name: `${MONTH_NAMES[monthIndex]} ${year}`, year, monthIndex };
+};
+
+// The month a booking is counted in: its arrival month, clipped to the window so stays
+// that started before it land in its first month. Null when the arrival date is invalid.
+export const getMonthBucket = (booking, window) => {
+    const arrival = toDayNumber(booking.arrival);
+    if (!Number.isFinite(arrival)) return null;
+    return monthOfDay(window ? Math.max(arrival, window.start) : arrival);
+};
+
+// Groups bookings by the year and month from getMonthBucket. With a window, every month
+// in it gets an entry even if empty, which keeps a comparison series aligned month by month.
+export const groupBookingsByMonth = (bookings, window) => {
+    const months = {};
+    const addMonth = (month) => {
+        if (!months[month.key]) months[month.key] = { ...month, bookings: 0 };
+        return months[month.key];
+    };
+
+    if (window) for (let day = window.start; day < window.end; day++) addMonth(monthOfDay(day));
+
+    bookings.forEach(booking => {
+        const bucket = getMonthBucket(booking, window);
+        if (!bucket) return;
+        const month = addMonth(bucket);
+        const seriesKey = propertySeriesKey(getPropertyId(booking));
+        month.bookings += 1;
+        month[seriesKey] = (month[seriesKey] || 0) + 1;
+    });
+
+    return Object.values(months).sort((a, b) => a.key.localeCompare(b.key));
+};
+
+// Groups bookings by property and calculates the comparison table rows.
+// Each property is measured against its own available nights.
+export const computePropertyBreakdown = (bookings, propertyNames = {}, { startDate = '', endDate = '' } = {}) => {
+    const window = resolveWindow(bookings, startDate, endDate);
+    const byProperty = {};
+    bookings.forEach(booking => {
+        const id = getPropertyId(booking);
+        if (!byProperty[id]) byProperty[id] = [];
+        byProperty[id].push(booking);
+    });
+
+    return Object.entries(byProperty)
+        .map(([id, propertyBookings]) => {
+            const kpis = computeKpis(propertyBookings, { window, propertyCount: 1 });
+            return {
+                id,
+                name: getPropertyName(id, propertyNames),
+                revenue: kpis.totalRevenue,
+                bookings: kpis.totalBookings,
+                nights: kpis.totalNights,
+                adr: kpis.avgNightlyRate,
+                cancellationRate: kpis.cancellationRate,
+                leadTime: kpis.avgLeadTime,
+                occupancyRate: kpis.occupancyRate,
+                revPar: kpis.revPar,
+            };
+        })
+        .sort((a, b) => b.revenue - a.revenue);
+};
@@ -0,0 +1,19 @@
+import { computeKpis } from './metrics';
+
+describe('computeKpis', () => {
+    test('only counts bookings with a night in the range', () => {
+        const bookings = [
+            { id: 1, arrival: '2024-03-01', departure: '2024-03-05', total_amount: 400, status: 'Booked' },
+            { id: 2, arrival: '2024-03-10', departure: '2024-03-12', total_amount: 200, status: 'Cancelled' },
+            { id: 3, arrival: '2024-04-01', departure: '2024-04-03', total_amount: 200, status: 'Booked' },
+            { id: 4, arrival: '2024-04-10', departure: '2024-04-12', total_amount: 200, status: 'Cancelled' },
+            { id: 5, arrival: '2024-04-15', departure: '2024-04-17', total_amount: 200, status: 'Cancelled' },
+        ];
+
+        const kpis = computeKpis(bookings, { startDate: '2024-03-01', endDate: '2024-03-31' });
+
+        expect(kpis.totalBookings).toBe(1);
+        expect(kpis.totalRevenue).toBe(400);
+        expect(kpis.cancellationRate).toBe(50);
+    });
+});
@@ -0,0 +1,15 @@
+// --- Mock Data ---
+// Sample bookings and properties the dashboard shows when the API can't be reached, so the
+// UI can still be viewed. The tests use them too.
+
+export const MOCK_BOOKINGS = [
+    { id: 1, property_id: 101, guest: { name: 'John Doe' }, arrival: '2024-01-15', departure: '2024-01-20', total_amount: 500, subtotals: { stay: 420, fees: 50, vat: 30 }, amount_paid: 500, amount_due: 0, source: 'Airbnb', status: 'Booked', creation_date: '2023-12-15T10:00:00Z' },
+    { id: 2, property_id: 102, guest: { name: 'Jane Smith' }, arrival: '2024-02-10', departure: '2024-02-15', total_amount: 650, subtotals: { stay: 560, fees: 60, vat: 30 }, amount_paid: 325, amount_due: 325, source: 'Booking.com', status: 'Booked', creation_date: '2024-01-10T10:00:00Z' },
+    { id: 3, property_id: 101, guest: { name: 'Peter Jones' }, arrival: '2024-02-20', departure: '2024-02-25', total_amount: 550, subtotals: { stay: 480, fees: 50, vat: 20 }, amount_paid: 550, amount_due: 0, source: 'Direct', status: 'Booked', creation_date: '2024-02-01T10:00:00Z' },
+    { id: 4, property_id: 102, guest: { name: 'Mary Williams' }, arrival: '2024-03-05', departure: '2024-03-10', total_amount: 700, subtotals: { stay: 600, fees: 60, vat: 40 }, amount_paid: 0, amount_due: 0, source: 'Airbnb', status: 'Cancelled', creation_date: '2024-02-15T10:00:00Z' },
+];
+
+export const MOCK_PROPERTIES = [
+    { id: 101, name: 'Garden Cottage' },
+    { id: 102, name: 'Lakeside Loft' },
+];
@@ -0,0 +1,208 @@
+// --- Booking Normalization ---
+// Turns raw Lodgify bookings into the model the rest of the code computes with, and
+// reports what it had to fix or leave out. The API and the dashboard both run bookings
+// through here, so they agree on which records count.
+//
+// A normalized booking keeps Lodgify's field names, but its values can be relied on:
+//   arrival, departure  - 'YYYY-MM-DD' calendar dates, with departure after arrival
+//   creation_date       - ISO timestamp in UTC (times without a zone are taken as UTC), or null
+//   status              - one of the keys of BOOKING_STATUSES, spelled as there
+//   currency_code       - upper-case ISO 4217 code; the main currency when Lodgify sent none
+//   total_amount        - number
+//   amount_paid, amount_due, subtotals.* - numbers, or left out when Lodgify didn't send them
+// Everything else (id, property_id, guest, source, ...) is passed through unchanged.
+//
+// Normalizing is idempotent, so bookings the API already normalized can go through again.
+//
+// Bookings keep the currency they are priced in. Amounts in different currencies can't be
+// added up, so anything that totals them works on one currency at a time (see getCurrencies).
+
+// With the extension, since the API imports this file as a plain ES module.
+import { fromDayNumber, toDayNumber } from './metrics.js';
+
+// Every status Lodgify uses, and what it means for the numbers:
+//   confirmed - counts towards revenue, nights and occupancy
+//   pending   - an enquiry or a request that isn't confirmed yet
+//   declined  - a request that was turned down; it never became a stay
+//   cancelled - counts towards the cancellation rate
+export const BOOKING_STATUSES = {
+    Booked: 'confirmed',
+    Tentative: 'pending',
+    Open: 'pending',
+    Declined: 'declined',
+    Cancelled: 'cancelled',
+};
+
+// Other spellings seen in the wild
+const STATUS_ALIASES = { canceled: 'Cancelled' };
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// The canonical spelling of a status, matched case-insensitively, or null if it isn't one.
+export const normalizeStatus = (status) => {
+    const wanted = String(status || '').trim().toLowerCase();
+    return Object.keys(BOOKING_STATUSES).find(name => name.toLowerCase() === wanted) || STATUS_ALIASES[wanted] || null;
+};
+
+// What a normalized booking's status means: 'confirmed', 'pending', 'declined' or 'cancelled'.
+export const getStatusGroup = (booking) => BOOKING_STATUSES[booking.status] || null;
+
+// Formats an amount in a currency, e.g. "$1,250.00" or "€1,250.00".
+export const formatCurrency = (value, currency = DEFAULT_CURRENCY, decimals = 2) => {
+    try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency, minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(value || 0);
+    } catch (err) {
+        // Not a currency Intl knows; show the code instead of a symbol.
+        return `${currency} ${(value || 0).toFixed(decimals)}`;
+    }
+};
+
+// A YYYY-MM-DD date (the date part of an ISO string is enough), or null if it isn't a real date.
+const toIsoDate = (value) => {
+    const dayNumber = toDayNumber(value);
+    if (!Number.isFinite(dayNumber)) return null;
+    const date = fromDayNumber(dayNumber);
+    return date === String(value).slice(0, 10) ? date : null; // rejects rolled-over dates like Feb 30
+};
+
+// An ISO timestamp in UTC, or null. Lodgify sends some timestamps without a zone; the
+// browser would read those in its own time zone, so they are pinned to UTC here.
+const toIsoTimestamp = (value) => {
+    let text = String(value).trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) text += 'T00:00:00Z';
+    else if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) text = `${text.replace(' ', 'T')}Z`;
+    const time = Date.parse(text);
+    return Number.isFinite(time) ? new Date(time).toISOString() : null;
+};
+
+// A number from a number or a numeric string, or null.
+const toNumber = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const number = Number(value.trim());
+    return Number.isFinite(number) ? number : null;
+};
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+const toCurrencyCode = (value) => String(value || '').trim().toUpperCase();
+
+// The currencies the bookings are priced in, the most used first (ties in alphabetical
+// order). A `preferred` currency the bookings use comes first regardless.
+export const getCurrencies = (bookings, preferred = null) => {
+    const counts = {};
+    bookings.forEach(booking => {
+        const code = toCurrencyCode(booking?.currency_code);
+        if (code) counts[code] = (counts[code] || 0) + 1;
+    });
+    const rank = (code) => (code === preferred ? Infinity : counts[code]);
+    return Object.keys(counts).sort((a, b) => rank(b) - rank(a) || a.localeCompare(b));
+};
+
+// Normalizes one booking. Returns { booking, fixes } where `fixes` describes what was
+// changed, or { excluded } with the reason the booking can't be used.
+const normalizeBooking = (raw, currency) => {
+    const fixes = [];
+    if (raw.is_deleted) return { excluded: 'Deleted in Lodgify.' };
+
+    const status = normalizeStatus(raw.status);
+    if (!status) return { excluded: isMissing(raw.status) ? 'Has no status.' : `Unknown status "${raw.status}".` };
+
+    const arrival = toIsoDate(raw.arrival);
+    if (!arrival) return { excluded: isMissing(raw.arrival) ? 'Has no arrival date.' : `Arrival date "${raw.arrival}" is not a valid date.` };
+
+    let departure = toIsoDate(raw.departure);
+    if (!departure) {
+        // Some feeds send the length of stay instead of the departure date.
+        const nights = toNumber(raw.nights);
+        if (!(Number.isInteger(nights) && nights > 0)) {
+            return { excluded: isMissing(raw.departure) ? 'Has no departure date.' : `Departure date "${raw.departure}" is not a valid date.` };
+        }
+        departure = fromDayNumber(toDayNumber(arrival) + nights);
+        fixes.push(`Departure worked out from ${nights} nights.`);
+    }
+    if (departure <= arrival) return { excluded: `Departure ${departure} is not after arrival ${arrival}.` };
+
+    let creationDate = null;
+    if (!isMissing(raw.creation_date)) {
+        creationDate = toIsoTimestamp(raw.creation_date);
+        if (!creationDate) fixes.push(`Booking date "${raw.creation_date}" is not a valid date, so it has no lead time.`);
+    }
+
+    let totalAmount = toNumber(raw.total_amount);
+    if (totalAmount === null) {
+        if (!isMissing(raw.total_amount)) fixes.push(`Total amount "${raw.total_amount}" is not a number; counted as 0.`);
+        else if (status === 'Booked') fixes.push('Has no total amount; counted as 0.');
+        totalAmount = 0;
+    }
+
+    const booking = { ...raw, arrival, departure, creation_date: creationDate, status, currency_code: toCurrencyCode(raw.currency_code) || currency, total_amount: totalAmount };
+
+    // Optional amounts: numbers are kept, anything unreadable is dropped so the financials
+    // fall back to what they would do without it.
+    [['amount_paid', 'Amount paid'], ['amount_due', 'Amount due']].forEach(([field, label]) => {
+        if (isMissing(raw[field])) return;
+        const amount = toNumber(raw[field]);
+        if (amount === null) {
+            delete booking[field];
+            fixes.push(`${label} "${raw[field]}" is not a number; ignored.`);
+        } else {
+            booking[field] = amount;
+        }
+    });
+    if (raw.subtotals && typeof raw.subtotals === 'object') {
+        booking.subtotals = {};
+        Object.entries(raw.subtotals).forEach(([field, value]) => {
+            const amount = toNumber(value);
+            if (amount !== null) booking.subtotals[field] = amount;
+            else if (!isMissing(value)) fixes.push(`Line item ${field} "${value}" is not a number; ignored.`);
+        });
+    }
+
+    return { booking, fixes };
+};
+
+// Describes a booking in the data issues list; the fields match a booking's so the same
+// filters apply to both.
+const describeIssue = (raw, action, message) => ({
+    id: raw.id ?? null,
+    property_id: raw.property_id ?? null,
+    guest: raw.guest?.name || null,
+    arrival: toIsoDate(raw.arrival),
+    departure: toIsoDate(raw.departure),
+    status: raw.status ?? null,
+    action,
+    message,
+});
+
+// Normalizes a list of raw bookings. Returns:
+//   bookings - the usable bookings, normalized
+//   issues   - one entry per fix or exclusion: { id, property_id, guest, arrival, departure, status, action: 'fixed' | 'excluded', message }
+//   currency - the main currency: the one bookings without a currency_code are taken to be
+//              in, and the one figures are shown in first. By default the one most bookings use.
+export const normalizeBookings = (rawBookings = [], { currency = getCurrencies(rawBookings)[0] || DEFAULT_CURRENCY } = {}) => {
+    const bookings = [];
+    const issues = [];
+    const seenIds = new Set();
+
+    rawBookings.forEach(raw => {
+        if (!raw || typeof raw !== 'object') return;
+        if (raw.id !== undefined && raw.id !== null) {
+            if (seenIds.has(String(raw.id))) {
+                issues.push(describeIssue(raw, 'excluded', 'Listed more than once; only the first copy counts.'));
+                return;
+            }
+            seenIds.add(String(raw.id));
+        }
+
+        const { booking, fixes, excluded } = normalizeBooking(raw, currency);
+        if (excluded) {
+            issues.push(describeIssue(raw, 'excluded', excluded));
+            return;
+        }
+        fixes.forEach(message => issues.push(describeIssue(booking, 'fixed', message)));
+        bookings.push(booking);
+    });
+
+    return { bookings, issues, currency };
+};
@@ -0,0 +1,103 @@
+import { getCurrencies, normalizeBookings, normalizeStatus } from './normalize';
+import { MOCK_BOOKINGS } from './mock-data';
+
+const BOOKING = { id: 1, property_id: 101, arrival: '2024-03-01', departure: '2024-03-04', total_amount: 300, currency_code: 'USD', status: 'Booked' };
+
+// Normalizes one booking on top of BOOKING and returns it with its issues.
+const normalizeOne = (changes) => {
+    const { bookings, issues } = normalizeBookings([{ ...BOOKING, ...changes }]);
+    return { booking: bookings[0], issues };
+};
+
+describe('normalizeBookings', () => {
+    test('normalizes the sample bookings without issues', () => {
+        const { bookings, issues, currency } = normalizeBookings(MOCK_BOOKINGS);
+
+        expect(bookings.map(b => b.id)).toEqual(MOCK_BOOKINGS.map(b => b.id));
+        expect(issues).toEqual([]);
+        expect(currency).toBe('USD');
+        expect(bookings.every(b => b.currency_code === 'USD')).toBe(true);
+    });
+
+    test('matches statuses in any case and accepts "canceled"', () => {
+        expect(normalizeOne({ status: 'booked' }).booking.status).toBe('Booked');
+        expect(normalizeOne({ status: ' TENTATIVE ' }).booking.status).toBe('Tentative');
+        expect(normalizeOne({ status: 'Canceled' }).booking.status).toBe('Cancelled');
+        expect(normalizeStatus('canceled')).toBe('Cancelled');
+
+        const { booking, issues } = normalizeOne({ status: 'Pending review' });
+        expect(booking).toBeUndefined();
+        expect(issues).toEqual([expect.objectContaining({ id: 1, action: 'excluded', message: 'Unknown status "Pending review".' })]);
+    });
+
+    test('works out a missing departure from the nights', () => {
+        const { booking, issues } = normalizeOne({ departure: undefined, nights: '5' });
+
+        expect(booking.departure).toBe('2024-03-06');
+        expect(issues).toEqual([expect.objectContaining({ action: 'fixed', message: 'Departure worked out from 5 nights.' })]);
+    });
+
+    test('leaves out a booking with no departure and no nights', () => {
+        const { booking, issues } = normalizeOne({ departure: '' });
+
+        expect(booking).toBeUndefined();
+        expect(issues).toEqual([expect.objectContaining({ action: 'excluded', message: 'Has no departure date.' })]);
+    });
+
+    test('rejects dates that roll over, like Feb 30', () => {
+        expect(normalizeOne({ arrival: '2024-02-30' }).issues).toEqual([expect.objectContaining({ action: 'excluded', message: 'Arrival date "2024-02-30" is not a valid date.' })]);
+        expect(normalizeOne({ departure: '2024-02-30' }).issues).toEqual([expect.objectContaining({ action: 'excluded', message: 'Departure date "2024-02-30" is not a valid date.' })]);
+    });
+
+    test('takes booking dates without a zone as UTC', () => {
+        expect(normalizeOne({ creation_date: '2024-01-15 18:30:00' }).booking.creation_date).toBe('2024-01-15T18:30:00.000Z');
+        expect(normalizeOne({ creation_date: '2024-01-15' }).booking.creation_date).toBe('2024-01-15T00:00:00.000Z');
+        expect(normalizeOne({ creation_date: '2024-01-15T18:30:00+02:00' }).booking.creation_date).toBe('2024-01-15T16:30:00.000Z');
+
+        const { booking, issues } = normalizeOne({ creation_date: 'last week' });
+        expect(booking.creation_date).toBeNull();
+        expect(issues).toEqual([expect.objectContaining({ action: 'fixed' })]);
+    });
+
+    test('counts a booking listed more than once only once', () => {
+        const { bookings, issues } = normalizeBookings([BOOKING, { ...BOOKING, total_amount: 999 }, { ...BOOKING, id: '1' }]);
+
+        expect(bookings).toHaveLength(1);
+        expect(bookings[0].total_amount).toBe(300);
+        expect(issues).toHaveLength(2);
+        expect(issues.every(issue => issue.action === 'excluded' && issue.message === 'Listed more than once; only the first copy counts.')).toBe(true);
+    });
+
+    test('keeps bookings in every currency, each with its own code', () => {
+        const { bookings, issues, currency } = normalizeBookings([
+            { ...BOOKING, id: 1, currency_code: 'eur' },
+            { ...BOOKING, id: 2, currency_code: 'EUR' },
+            { ...BOOKING, id: 3, currency_code: 'USD' },
+            { ...BOOKING, id: 4, currency_code: undefined },
+        ]);
+
+        expect(currency).toBe('EUR');
+        expect(issues).toEqual([]);
+        expect(bookings.map(b => b.currency_code)).toEqual(['EUR', 'EUR', 'USD', 'EUR']);
+    });
+
+    test('uses the currency it is given for bookings without one', () => {
+        const { bookings, currency } = normalizeBookings([{ ...BOOKING, currency_code: '' }], { currency: 'GBP' });
+
+        expect(currency).toBe('GBP');
+        expect(bookings[0].currency_code).toBe('GBP');
+    });
+});
+
+describe('getCurrencies', () => {
+    const bookings = ['USD', 'EUR', 'eur', 'GBP', 'USD', 'CHF'].map(currency_code => ({ currency_code }));
+
+    test('lists the most used first, ties in alphabetical order', () => {
+        expect(getCurrencies(bookings)).toEqual(['EUR', 'USD', 'CHF', 'GBP']);
+    });
+
+    test('puts the preferred currency first when the bookings use it', () => {
+        expect(getCurrencies(bookings, 'GBP')).toEqual(['GBP', 'EUR', 'USD', 'CHF']);
+        expect(getCurrencies(bookings, 'JPY')).toEqual(['EUR', 'USD', 'CHF', 'GBP']);
+    });
+});
@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { ChevronLeft, ChevronRight, X } from 'lucide-react';
+import { MONTH_NAMES, fromDayNumber, getPropertyId, getPropertyName, getStayNights, toDayNumber } from './metrics';
+import { formatCurrency, getStatusGroup } from './normalize';
+
+// --- Helper Functions & Constants ---
+
+// Gaps between two stays of this many nights or fewer are usually too short to sell.
+const ORPHAN_GAP_MAX_NIGHTS = 2;
+
+// Extra days fetched either side of the month so gaps and overlaps at its edges are caught.
+const EDGE_PADDING_DAYS = 14;
+
+// Only confirmed stays block the calendar; pending ones are shown but don't, and cancelled
+// or declined ones are left out entirely.
+const isConfirmed = (booking) => getStatusGroup(booking) === 'confirmed';
+const isShown = (booking) => ['confirmed', 'pending'].includes(getStatusGroup(booking)) && getStayNights(booking) > 0;
+
+// Finds the ids of confirmed stays that share at least one night with another stay on the same property.
+const findOverlaps = (stays) => {
+    const overlapping = new Set();
+    const sorted = stays.filter(isConfirmed).sort((a, b) => toDayNumber(a.arrival) - toDayNumber(b.arrival));
+    sorted.forEach((stay, index) => {
+        for (let next = index + 1; next < sorted.length; next++) {
+            if (toDayNumber(sorted[next].arrival) >= toDayNumber(stay.departure)) break;
+            overlapping.add(stay.id);
+            overlapping.add(sorted[next].id);
+        }
+    });
+    return overlapping;
+};
+
+// Finds the unsold nights between consecutive confirmed stays that are too short to sell.
+// Returns a list of { start, nights } in day numbers.
+const findOrphanGaps = (stays) => {
+    const sorted = stays.filter(isConfirmed).sort((a, b) => toDayNumber(a.arrival) - toDayNumber(b.arrival));
+    const gaps = [];
+    let lastDeparture = null;
+    sorted.forEach(stay => {
+        const arrival = toDayNumber(stay.arrival);
+        if (lastDeparture !== null) {
+            const nights = arrival - lastDeparture;
+            if (nights > 0 && nights <= ORPHAN_GAP_MAX_NIGHTS) gaps.push({ start: lastDeparture, nights });
+        }
+        lastDeparture = Math.max(lastDeparture ?? -Infinity, toDayNumber(stay.departure));
+    });
+    return gaps;
+};
+
+// Spreads stays over as few lanes as possible so that overlapping bars don't hide each other.
+const assignLanes = (stays) => {
+    const laneEnds = [];
+    return stays
+        .slice()
+        .sort((a, b) => toDayNumber(a.arrival) - toDayNumber(b.arrival))
+        .map(stay => {
+            let lane = laneEnds.findIndex(end => end <= toDayNumber(stay.arrival));
+            if (lane === -1) lane = laneEnds.length;
+            laneEnds[lane] = toDayNumber(stay.departure);
+            return { stay, lane };
+        });
+};
+
+// Returns the first day, the day after the last day and the length of a 'YYYY-MM' month, as day numbers.
+const getMonthBounds = (month) => {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const start = toDayNumber(`${month}-01`);
+    const end = Date.UTC(year, monthNumber, 1) / (1000 * 3600 * 24);
+    return { start, end, days: end - start, year, monthIndex: monthNumber - 1 };
+};
+
+// Moves a 'YYYY-MM' month by a number of months.
+const shiftMonth = (month, offset) => {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const date = new Date(Date.UTC(year, monthNumber - 1 + offset, 1));
+    return date.toISOString().slice(0, 7);
+};
+
+
+// --- Occupancy Calendar Component ---
+// A month-by-month grid with one row per property and a bar for each stay.
+export default function OccupancyCalendar({ currency, propertyOptions, propertyNames, selectedPropertyId, initialMonth, loadBookings, refreshKey, colors }) {
+    const [month, setMonth] = useState(initialMonth);
+    const [bookings, setBookings] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [selectedBooking, setSelectedBooking] = useState(null);
+
+    // Jump to the start of the selected date range whenever it changes
+    useEffect(() => {
+        setMonth(initialMonth);
+    }, [initialMonth]);
+
+    const bounds = useMemo(() => getMonthBounds(month), [month]);
+
+    useEffect(() => {
+        // Paging quickly through months can let an older response arrive after a newer one.
+        let ignore = false;
+        const fetchMonth = async () => {
+            setIsLoading(true);
+            const items = await loadBookings({
+                startDate: fromDayNumber(bounds.start - EDGE_PADDING_DAYS),
+                endDate: fromDayNumber(bounds.end - 1 + EDGE_PADDING_DAYS),
+                propertyId: selectedPropertyId,
+            });
+            if (ignore) return;
+            setBookings(items);
+            setIsLoading(false);
+        };
+        fetchMonth();
+        return () => { ignore = true; };
+    }, [bounds, selectedPropertyId, refreshKey]);
+
+    // One row per property, with its stays laid out in lanes, plus overlap and gap highlights
+    const rows = useMemo(() => {
+        const shown = bookings.filter(isShown);
+        const propertyIds = new Set(selectedPropertyId ? [selectedPropertyId] : propertyOptions.map(p => p.id));
+        shown.forEach(b => { if (!selectedPropertyId) propertyIds.add(getPropertyId(b)); });
+
+        return [...propertyIds].map(id => {
+            const stays = shown.filter(b => getPropertyId(b) === id);
+            const inMonth = stays.filter(b => toDayNumber(b.arrival) < bounds.end && toDayNumber(b.departure) > bounds.start);
+            const lanes = assignLanes(inMonth);
+            return {
+                id,
+                name: getPropertyName(id, propertyNames),
+                lanes,
+                laneCount: Math.max(1, ...lanes.map(l => l.lane + 1)),
+                overlaps: findOverlaps(stays),
+                gaps: findOrphanGaps(stays).filter(gap => gap.start < bounds.end && gap.start + gap.nights > bounds.start),
+            };
+        }).sort((a, b) => a.name.localeCompare(b.name));
+    }, [bookings, bounds, propertyOptions, propertyNames, selectedPropertyId]);
+
+    // Each channel gets a stable colour for as long as the month is shown
+    const channelColors = useMemo(() => {
+        const sources = [...new Set(bookings.filter(isShown).map(b => b.source || 'Unknown'))].sort();
+        return Object.fromEntries(sources.map((source, index) => [source, colors[index % colors.length]]));
+    }, [bookings, colors]);
+
+    const dayColumns = Array.from({ length: bounds.days }, (_, i) => i + 1);
+    const gridStyle = { gridTemplateColumns: `repeat(${bounds.days}, minmax(28px, 1fr))` };
+
+    // Clips a span of day numbers to the month and turns it into grid columns
+    const columnsFor = (start, end) => {
+        const from = Math.max(start, bounds.start) - bounds.start + 1;
+        const to = Math.min(end, bounds.end) - bounds.start + 1;
+        return { gridColumn: `${from} / ${to}` };
+    };
+
+    return (
+        <div className="p-6 bg-white border rounded-xl shadow">
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                <div className="flex items-center gap-2">
+                    <button onClick={() => setMonth(shiftMonth(month, -1))} className="p-1 text-gray-600 rounded hover:bg-gray-100" aria-label="Previous month"><ChevronLeft className="w-5 h-5" /></button>
+                    <h3 className="w-40 font-semibold text-center text-gray-700">{MONTH_NAMES[bounds.monthIndex]} {bounds.year}</h3>
+                    <button onClick={() => setMonth(shiftMonth(month, 1))} className="p-1 text-gray-600 rounded hover:bg-gray-100" aria-label="Next month"><ChevronRight className="w-5 h-5" /></button>
+                    {isLoading && <span className="text-xs text-gray-500">Loading...</span>}
+                </div>
+                <div className="flex flex-wrap items-center gap-4 text-xs text-gray-600">
+                    {Object.entries(channelColors).map(([source, color]) => <span key={source} className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: color }} />{source}</span>)}
+                    <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded-sm ring-2 ring-red-500" />Double-booked</span>
+                    <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded-sm bg-amber-200" />Orphan gap (≤ {ORPHAN_GAP_MAX_NIGHTS} nights)</span>
+                </div>
+            </div>
+
+            <div className="overflow-x-auto">
+                <div className="flex min-w-max">
+                    <div className="w-40 shrink-0">
+                        <div className="h-8" />
+                        {rows.map(row => <div key={row.id} className="flex items-center pr-2 text-sm font-medium text-gray-900 border-t truncate" style={{ height: `${row.laneCount * 28 + 8}px` }}>{row.name}</div>)}
+                    </div>
+                    <div className="flex-grow">
+                        <div className="grid h-8" style={gridStyle}>
+                            {dayColumns.map(day => <div key={day} className="text-xs text-center text-gray-500">{day}</div>)}
+                        </div>
+                        {rows.map(row => (
+                            <div key={row.id} className="relative grid py-1 border-t" style={{ ...gridStyle, gridAutoRows: '28px', height: `${row.laneCount * 28 + 8}px` }}>
+                                {row.gaps.map(gap => <div key={`gap-${gap.start}`} className="bg-amber-200 rounded-sm" style={{ ...columnsFor(gap.start, gap.start + gap.nights), gridRow: `1 / ${row.laneCount + 1}` }} title={`${gap.nights} night gap`} />)}
+                                {row.lanes.map(({ stay, lane }) => (
+                                    <button
+                                        key={stay.id}
+                                        onClick={() => setSelectedBooking(stay)}
+                                        className={`m-0.5 px-1 text-xs text-left text-white truncate rounded ${isConfirmed(stay) ? '' : 'opacity-60'} ${row.overlaps.has(stay.id) ? 'ring-2 ring-red-500' : ''}`}
+                                        style={{ ...columnsFor(toDayNumber(stay.arrival), toDayNumber(stay.departure)), gridRow: lane + 1, backgroundColor: channelColors[stay.source || 'Unknown'] }}
+                                        title={`${stay.guest?.name || 'N/A'}: ${stay.arrival} to ${stay.departure}`}
+                                    >
+                                        {stay.guest?.name || 'N/A'}
+                                    </button>
+                                ))}
+                            </div>
+                        ))}
+                        {rows.length === 0 && <p className="py-4 text-sm text-center text-gray-500">No properties to show.</p>}
+                    </div>
+                </div>
+            </div>
+
+            {selectedBooking && <BookingDetails booking={selectedBooking} currency={currency} propertyNames={propertyNames} onClose={() => setSelectedBooking(null)} />}
+        </div>
+    );
+}
+
+// A modal with the full details of a single booking; its total is in the booking's own
+// currency, or `currency` if it has none
+const BookingDetails = ({ booking, currency, propertyNames, onClose }) => (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40" onClick={onClose}>
+        <div className="w-full max-w-md p-6 bg-white rounded-xl shadow-lg" onClick={e => e.stopPropagation()}>
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-bold text-gray-800">{booking.guest?.name || 'N/A'}</h3>
+                <button onClick={onClose} className="p-1 text-gray-500 rounded hover:bg-gray-100" aria-label="Close"><X className="w-5 h-5" /></button>
+            </div>
+            <dl className="grid grid-cols-2 gap-y-2 text-sm">
+                <dt className="text-gray-500">Property</dt><dd className="text-gray-900">{getPropertyName(getPropertyId(booking), propertyNames)}</dd>
+                <dt className="text-gray-500">Dates</dt><dd className="text-gray-900">{booking.arrival} to {booking.departure}</dd>
+                <dt className="text-gray-500">Nights</dt><dd className="text-gray-900">{getStayNights(booking)}</dd>
+                <dt className="text-gray-500">Source</dt><dd className="text-gray-900">{booking.source || 'Unknown'}</dd>
+                <dt className="text-gray-500">Status</dt><dd className="text-gray-900">{booking.status}</dd>
+                <dt className="text-gray-500">Total</dt><dd className="text-gray-900">{formatCurrency(booking.total_amount, booking.currency_code || currency)}</dd>
+                <dt className="text-gray-500">Booked on</dt><dd className="text-gray-900">{booking.creation_date ? booking.creation_date.slice(0, 10) : 'N/A'}</dd>
+                <dt className="text-gray-500">Booking ID</dt><dd className="text-gray-900">{booking.id}</dd>
+            </dl>
+        </div>
+    </div>
+);
@@ -0,0 +1,107 @@
+import React, { useMemo } from 'react';
+import { Download, RotateCcw } from 'lucide-react';
+import { DEFAULT_COMMISSION_RATES, FINANCIAL_FIELDS, buildOwnerStatements } from './financials';
+import { exportOwnerStatementsCsv } from './export';
+import { formatCurrency } from './normalize';
+
+// Columns of the statement table, in order. `format` gets the value and the currency.
+const COLUMNS = [
+    { key: 'bookings', title: 'Bookings', format: (v) => `${v}` },
+    { key: 'nights', title: 'Nights', format: (v) => `${v}` },
+    { key: 'gross', title: 'Gross', format: formatCurrency },
+    { key: 'room', title: 'Room', format: formatCurrency },
+    { key: 'fees', title: 'Cleaning & Fees', format: formatCurrency },
+    { key: 'taxes', title: 'Taxes', format: formatCurrency },
+    { key: 'commission', title: 'Commission', format: formatCurrency },
+    { key: 'net', title: 'Net', format: formatCurrency },
+    { key: 'netAdr', title: 'Net ADR', format: formatCurrency },
+    { key: 'paid', title: 'Received', format: formatCurrency },
+    { key: 'due', title: 'Balance Due', format: formatCurrency },
+];
+
+// --- Owner Statements Component ---
+// Per property and month: what guests paid, what went to taxes and the channels, and what
+// is left for the owner. Also where the per-channel commission rates are set.
+export default function OwnerStatements({ currency, bookings, propertyNames, startDate, endDate, commissionRates, onCommissionRatesChange }) {
+    const statements = useMemo(() => buildOwnerStatements(bookings, propertyNames, { startDate, endDate, commissionRates }), [bookings, propertyNames, startDate, endDate, commissionRates]);
+
+    // One block per property, with its months and a total row
+    const properties = useMemo(() => {
+        const byProperty = {};
+        statements.forEach(row => {
+            if (!byProperty[row.propertyId]) byProperty[row.propertyId] = { id: row.propertyId, name: row.property, months: [] };
+            byProperty[row.propertyId].months.push(row);
+        });
+        return Object.values(byProperty).map(property => {
+            const total = { bookings: 0, nights: 0 };
+            [...FINANCIAL_FIELDS, 'bookings', 'nights'].forEach(field => { total[field] = property.months.reduce((acc, row) => acc + row[field], 0); });
+            total.netAdr = total.nights > 0 ? total.net / total.nights : 0;
+            return { ...property, total };
+        });
+    }, [statements]);
+
+    // Every channel seen in the bookings, plus any that already have a rate
+    const channels = useMemo(() => (
+        [...new Set([...Object.keys(commissionRates), ...bookings.map(b => b.source || 'Unknown')])].sort()
+    ), [bookings, commissionRates]);
+
+    const setRate = (channel, value) => {
+        const rate = Math.min(Math.max(Number(value) || 0, 0), 100);
+        onCommissionRatesChange({ ...commissionRates, [channel]: rate });
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="p-6 bg-white border rounded-xl shadow">
+                <div className="flex items-center justify-between mb-4">
+                    <div>
+                        <h3 className="font-semibold text-gray-700">Channel Commission Rates</h3>
+                        <p className="text-xs text-gray-500">Percent of room revenue and fees each channel keeps. Saved in this browser.</p>
+                    </div>
+                    <button onClick={() => onCommissionRatesChange(DEFAULT_COMMISSION_RATES)} className="flex items-center px-3 py-1 text-sm font-semibold text-gray-700 bg-white border border-gray-300 rounded-lg shadow-sm hover:bg-gray-50 transition-colors"><RotateCcw className="w-4 h-4 mr-2" />Defaults</button>
+                </div>
+                <div className="flex flex-wrap gap-4">
+                    {channels.map(channel => (
+                        <label key={channel} className="flex items-center gap-2 text-sm text-gray-700">
+                            {channel}
+                            <input type="number" min="0" max="100" step="0.1" value={commissionRates[channel] ?? 0} onChange={e => setRate(channel, e.target.value)} className="w-20 px-2 py-1 text-sm border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500" />
+                            %
+                        </label>
+                    ))}
+                </div>
+            </div>
+
+            <div className="p-6 bg-white border rounded-xl shadow">
+                <div className="flex justify-end mb-4">
+                    <button onClick={() => exportOwnerStatementsCsv(statements, `owner-statements_${startDate || 'start'}_${endDate || 'end'}.csv`).catch(err => console.error("Error exporting:", err))} className="flex items-center px-3 py-1 text-sm font-semibold text-gray-700 bg-white border border-gray-300 rounded-lg shadow-sm hover:bg-gray-50 transition-colors"><Download className="w-4 h-4 mr-2" />CSV</button>
+                </div>
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-4 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">Month</th>
+                                {COLUMNS.map(column => <th key={column.key} className="px-4 py-3 text-xs font-medium tracking-wider text-right text-gray-500 uppercase">{column.title}</th>)}
+                            </tr>
+                        </thead>
+                        {properties.map(property => (
+                            <tbody key={property.id} className="bg-white divide-y divide-gray-200">
+                                <tr className="bg-gray-50"><td colSpan={COLUMNS.length + 1} className="px-4 py-2 text-sm font-semibold text-gray-900">{property.name}</td></tr>
+                                {property.months.map(row => (
+                                    <tr key={row.month}>
+                                        <td className="px-4 py-3 text-sm text-gray-900 whitespace-nowrap">{row.monthName}</td>
+                                        {COLUMNS.map(column => <td key={column.key} className="px-4 py-3 text-sm text-right text-gray-500 whitespace-nowrap">{column.format(row[column.key], currency)}</td>)}
+                                    </tr>
+                                ))}
+                                <tr className="font-semibold">
+                                    <td className="px-4 py-3 text-sm text-gray-900 whitespace-nowrap">Total</td>
+                                    {COLUMNS.map(column => <td key={column.key} className="px-4 py-3 text-sm text-right text-gray-900 whitespace-nowrap">{column.format(property.total[column.key], currency)}</td>)}
+                                </tr>
+                            </tbody>
+                        ))}
+                    </table>
+                    {properties.length === 0 && <p className="py-4 text-sm text-center text-gray-500">No confirmed stays in the selected range.</p>}
+                </div>
+            </div>
+        </div>
+    );
+}
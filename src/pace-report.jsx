@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { ComposedChart, Bar, Line, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { FORECAST_CONFIDENCE, computePace, getPaceRange } from './pace';
+import { formatCurrency } from './normalize';
+
+// --- Pace Report Component ---
+// Revenue and nights on the books per future month against last year's pace at the same
+// lead time, with a forecast of where each month will end up.
+export default function PaceReport({ currency, selectedPropertyId, loadBookings, refreshKey }) {
+    const formatAmount = (value) => formatCurrency(value, currency);
+    const formatWholeAmount = (value) => formatCurrency(value, currency, 0);
+
+    const [bookings, setBookings] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+
+    // Pace is always measured as of today, whatever range the dashboard shows.
+    const asOf = new Date().toISOString().slice(0, 10);
+    const range = useMemo(() => getPaceRange(asOf), [asOf]);
+
+    useEffect(() => {
+        // Switching property or refreshing can let an older response arrive after a newer one.
+        let ignore = false;
+        const fetchPaceBookings = async () => {
+            setIsLoading(true);
+            const items = await loadBookings({ ...range, propertyId: selectedPropertyId });
+            if (ignore) return;
+            setBookings(items);
+            setIsLoading(false);
+        };
+        fetchPaceBookings();
+        return () => { ignore = true; };
+    }, [range, selectedPropertyId, refreshKey]);
+
+    // Amounts only add up within one currency, so pace is for the dashboard's current one.
+    const rows = useMemo(() => computePace(bookings.filter(b => b.currency_code === currency), asOf).map(row => ({
+        ...row,
+        // The band is drawn as a transparent base with the range stacked on top of it.
+        bandBase: row.forecastLow,
+        bandRange: row.forecast === null ? null : row.forecastHigh - row.forecastLow,
+    })), [bookings, currency, asOf]);
+
+    const hasForecast = rows.some(row => row.forecast !== null);
+    const totals = rows.reduce((acc, row) => ({
+        revenue: acc.revenue + row.revenue,
+        lastYearRevenue: acc.lastYearRevenue + row.lastYearRevenue,
+        nights: acc.nights + row.nights,
+        lastYearNights: acc.lastYearNights + row.lastYearNights,
+    }), { revenue: 0, lastYearRevenue: 0, nights: 0, lastYearNights: 0 });
+
+    return (
+        <div className="space-y-6">
+            <div className="grid grid-cols-1 gap-6 md:grid-cols-2 xl:grid-cols-4">
+                <PaceCard title="Revenue on the Books" value={formatAmount(totals.revenue)} hint={`next ${rows.length} months`} />
+                <PaceCard title="Same Time Last Year" value={formatAmount(totals.lastYearRevenue)} hint={<PaceChange current={totals.revenue} previous={totals.lastYearRevenue} />} />
+                <PaceCard title="Nights on the Books" value={totals.nights.toFixed(0)} hint={`next ${rows.length} months`} />
+                <PaceCard title="Nights Same Time Last Year" value={totals.lastYearNights.toFixed(0)} hint={<PaceChange current={totals.nights} previous={totals.lastYearNights} />} />
+            </div>
+
+            <div className="p-4 bg-white border rounded-xl shadow">
+                <div className="flex items-center justify-between">
+                    <h3 className="font-semibold text-gray-700">Revenue on the Books vs. Last Year</h3>
+                    {isLoading && <span className="text-xs text-gray-500">Loading...</span>}
+                </div>
+                <ResponsiveContainer width="100%" height={340}>
+                    <ComposedChart data={rows} margin={{ top: 20, right: 30, left: 10, bottom: 5 }}>
+                        <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                        <XAxis dataKey="name" />
+                        <YAxis tickFormatter={formatWholeAmount} />
+                        <Tooltip wrapperClassName="rounded-md border bg-white shadow-sm" content={<PaceTooltip currency={currency} />} />
+                        <Legend />
+                        {hasForecast && <Area dataKey="bandBase" stackId="band" stroke="none" fill="transparent" legendType="none" isAnimationActive={false} />}
+                        {hasForecast && <Area dataKey="bandRange" stackId="band" name={`Forecast range (${FORECAST_CONFIDENCE}%)`} stroke="none" fill="#c4b5fd" fillOpacity={0.5} isAnimationActive={false} />}
+                        <Bar dataKey="revenue" name="On the books" fill="#3b82f6" radius={[4, 4, 0, 0]} />
+                        <Bar dataKey="lastYearRevenue" name="Same time last year" fill="#9ca3af" radius={[4, 4, 0, 0]} />
+                        {hasForecast && <Line dataKey="forecast" name="Forecast final revenue" stroke="#8b5cf6" strokeWidth={2} dot={{ r: 3 }} />}
+                    </ComposedChart>
+                </ResponsiveContainer>
+                {!hasForecast && !isLoading && <p className="mt-2 text-sm text-gray-500">The forecast needs at least a few months of booking history.</p>}
+            </div>
+
+            <div className="p-6 bg-white border rounded-xl shadow">
+                <h3 className="mb-1 font-semibold text-gray-700">Pace by Month</h3>
+                <p className="mb-4 text-xs text-gray-500">Confirmed bookings made by today, compared with those made by the same date last year for the same month. The forecast adds the revenue past months picked up from the same number of days out.</p>
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                {['Month', 'Revenue OTB', 'Last Year', 'Change', 'Nights OTB', 'Last Year', 'Last Year Final', 'Forecast', `${FORECAST_CONFIDENCE}% Range`].map((header, index) => <th key={index} className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">{header}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {rows.map(row => (
+                                <tr key={row.key}>
+                                    <td className="px-6 py-4 text-sm font-medium text-gray-900 whitespace-nowrap">{row.name}</td>
+                                    <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">{formatAmount(row.revenue)}</td>
+                                    <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">{formatAmount(row.lastYearRevenue)}</td>
+                                    <td className="px-6 py-4 text-sm whitespace-nowrap"><PaceChange current={row.revenue} previous={row.lastYearRevenue} /></td>
+                                    <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">{row.nights}</td>
+                                    <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">{row.lastYearNights}</td>
+                                    <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">{formatAmount(row.lastYearFinalRevenue)}</td>
+                                    <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">{row.forecast === null ? '—' : formatAmount(row.forecast)}</td>
+                                    <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">{row.forecast === null ? '—' : `${formatWholeAmount(row.forecastLow)} – ${formatWholeAmount(row.forecastHigh)}`}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// A headline number for the next months
+const PaceCard = ({ title, value, hint }) => (
+    <div className="p-5 bg-white border rounded-xl shadow">
+        <p className="text-sm font-medium text-gray-500">{title}</p>
+        <p className="mt-1 text-3xl font-semibold text-gray-900">{value}</p>
+        {hint && <p className="mt-1 text-xs text-gray-500">{hint}</p>}
+    </div>
+);
+
+// How far ahead of (or behind) last year's pace a figure is
+const PaceChange = ({ current, previous }) => {
+    if (!previous) return <span className="text-gray-400">no bookings last year</span>;
+    const change = ((current - previous) / previous) * 100;
+    return <span className={change >= 0 ? 'text-green-600' : 'text-red-600'}>{change >= 0 ? '+' : ''}{change.toFixed(1)}% vs. last year</span>;
+};
+
+// Chart tooltip showing the month's figures without the band's helper series
+const PaceTooltip = ({ active, payload, currency }) => {
+    if (!active || !payload?.length) return null;
+    const row = payload[0].payload;
+    return (
+        <div className="p-2 text-xs bg-white">
+            <p className="mb-1 font-semibold text-gray-700">{row.name}</p>
+            <p className="text-gray-600">On the books: {formatCurrency(row.revenue, currency)} ({row.nights} nights)</p>
+            <p className="text-gray-600">Same time last year: {formatCurrency(row.lastYearRevenue, currency)} ({row.lastYearNights} nights)</p>
+            {row.forecast !== null && <p className="text-gray-600">Forecast: {formatCurrency(row.forecast, currency)} ({formatCurrency(row.forecastLow, currency, 0)} – {formatCurrency(row.forecastHigh, currency, 0)})</p>}
+        </div>
+    );
+};
@@ -0,0 +1,113 @@
+// --- Pace & Forecast ---
+// Revenue and nights on the books for the coming months, compared with what was on the
+// books at the same lead time last year, plus a forecast of each month's final revenue.
+//
+// "On the books" as of a day means confirmed bookings created on or before that day.
+// Lodgify doesn't say when a booking was cancelled, so cancelled bookings are left out
+// everywhere, including last year's figures from before they were cancelled.
+
+import { MONTH_NAMES, prorateStay, shiftYear, toDayNumber } from './metrics';
+
+const MS_PER_DAY = 1000 * 3600 * 24;
+
+// How many months ahead the report looks, starting with the current one.
+export const PACE_HORIZON_MONTHS = 12;
+
+// How many past months the forecast learns from.
+const HISTORY_MONTHS = 24;
+
+// The forecast needs at least this many past months to say anything.
+const MIN_HISTORY_MONTHS = 3;
+
+// z-score for the forecast band: 80% of final revenues should land inside it.
+export const FORECAST_CONFIDENCE = 80;
+const CONFIDENCE_Z = 1.2816;
+
+// A calendar month as a [start, end) window of day numbers, with its chart label.
+const monthWindow = (year, monthIndex) => {
+    const start = Date.UTC(year, monthIndex, 1) / MS_PER_DAY;
+    const end = Date.UTC(year, monthIndex + 1, 1) / MS_PER_DAY;
+    const date = new Date(start * MS_PER_DAY);
+    const y = date.getUTCFullYear();
+    const m = date.getUTCMonth();
+    return { start, end, days: end - start, year: y, monthIndex: m, key: `${y}-${String(m + 1).padStart(2, '0')}`, name: `${MONTH_NAMES[m]} ${y}` };
+};
+
+// Nights and revenue in the window from bookings created on or before `asOfDay`
+// (every booking when `asOfDay` is omitted). Bookings without a creation date can't be
+// placed in time, so they only count towards final figures.
+const bookedIn = (bookings, window, asOfDay = Infinity) => bookings.reduce((acc, booking) => {
+    if (asOfDay !== Infinity && !(toDayNumber(booking.creation_date) <= asOfDay)) return acc;
+    const stay = prorateStay(booking, window);
+    acc.nights += stay.nights;
+    acc.revenue += stay.revenue;
+    return acc;
+}, { nights: 0, revenue: 0 });
+
+const mean = (values) => values.reduce((acc, v) => acc + v, 0) / values.length;
+const standardDeviation = (values) => {
+    const avg = mean(values);
+    return Math.sqrt(values.reduce((acc, v) => acc + (v - avg) ** 2, 0) / (values.length - 1));
+};
+
+// The YYYY-MM-DD range of stays the report needs: the history the forecast learns from
+// through to the end of the horizon.
+export const getPaceRange = (asOf) => {
+    const today = new Date(toDayNumber(asOf) * MS_PER_DAY);
+    const first = monthWindow(today.getUTCFullYear(), today.getUTCMonth() - HISTORY_MONTHS);
+    const last = monthWindow(today.getUTCFullYear(), today.getUTCMonth() + PACE_HORIZON_MONTHS - 1);
+    return { startDate: new Date(first.start * MS_PER_DAY).toISOString().slice(0, 10), endDate: new Date((last.end - 1) * MS_PER_DAY).toISOString().slice(0, 10) };
+};
+
+// Builds one row per month of the horizon, as of the YYYY-MM-DD date `asOf`:
+//   nights, revenue                   - on the books now
+//   lastYearNights, lastYearRevenue   - on the books for the same month last year, a year ago
+//   lastYearFinalRevenue              - what that month last year ended up with
+//   forecast, forecastLow, forecastHigh - expected final revenue and its band (null without enough history)
+//
+// The forecast is a pickup model: for each past month we measure how much revenue was
+// booked after the same lead time (days before the month started), then add the
+// average of those pickups to what is on the books now. The band is the spread of
+// those pickups.
+export const computePace = (bookings, asOf) => {
+    const asOfDay = toDayNumber(asOf);
+    const lastYearDay = toDayNumber(shiftYear(asOf, -1));
+    const confirmed = bookings.filter(b => b.status === 'Booked');
+    const today = new Date(asOfDay * MS_PER_DAY);
+    const year = today.getUTCFullYear();
+    const monthIndex = today.getUTCMonth();
+
+    // Past months the forecast learns from, starting with the first one that has any stays.
+    const firstStay = Math.min(...confirmed.map(b => toDayNumber(b.arrival)).filter(Number.isFinite));
+    const history = Array.from({ length: HISTORY_MONTHS }, (_, i) => monthWindow(year, monthIndex - HISTORY_MONTHS + i))
+        .filter(month => month.end > firstStay)
+        .map(month => ({ month, final: bookedIn(confirmed, month).revenue }));
+
+    const forecastFor = (onTheBooks, leadDays) => {
+        if (history.length < MIN_HISTORY_MONTHS) return { forecast: null, forecastLow: null, forecastHigh: null };
+        const pickups = history.map(({ month, final }) => final - bookedIn(confirmed, month, month.start - leadDays).revenue);
+        const forecast = onTheBooks + mean(pickups);
+        const margin = CONFIDENCE_Z * standardDeviation(pickups);
+        // What is already booked is the floor; pickups are never negative since cancellations are left out.
+        return { forecast, forecastLow: Math.max(onTheBooks, forecast - margin), forecastHigh: forecast + margin };
+    };
+
+    return Array.from({ length: PACE_HORIZON_MONTHS }, (_, i) => {
+        const month = monthWindow(year, monthIndex + i);
+        const lastYearMonth = monthWindow(month.year - 1, month.monthIndex);
+        const current = bookedIn(confirmed, month, asOfDay);
+        const lastYear = bookedIn(confirmed, lastYearMonth, lastYearDay);
+
+        return {
+            key: month.key,
+            name: month.name,
+            leadDays: month.start - asOfDay,
+            nights: current.nights,
+            revenue: current.revenue,
+            lastYearNights: lastYear.nights,
+            lastYearRevenue: lastYear.revenue,
+            lastYearFinalRevenue: bookedIn(confirmed, lastYearMonth).revenue,
+            ...forecastFor(current.revenue, month.start - asOfDay),
+        };
+    });
+};
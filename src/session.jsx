@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import { FileText, LogIn } from 'lucide-react';
+
+// --- API Requests ---
+
+// Called when the server says the session is gone; the gate sets it to show the sign-in screen.
+let handleSessionExpired = () => {};
+
+// fetch() for the dashboard's own API. Sends the session cookie, and a 401 means the
+// session expired, so the user is asked to sign in again.
+export const apiFetch = async (url, options = {}) => {
+    const response = await fetch(url, { credentials: 'same-origin', ...options });
+    if (response.status === 401) handleSessionExpired();
+    return response;
+};
+
+// Asks the server who is signed in. Resolves to { status: 'signed-in', user },
+// { status: 'signed-out' }, or { status: 'unavailable' } when there's no API to ask
+// (e.g. the app is served without the serverless functions), in which case the app
+// runs on sample data.
+const checkSession = async () => {
+    try {
+        const response = await fetch('/api/session', { credentials: 'same-origin' });
+        if (response.status === 401) return { status: 'signed-out' };
+        if (!response.ok || !(response.headers.get('content-type') || '').includes('application/json')) return { status: 'unavailable' };
+        const { user } = await response.json();
+        return { status: 'signed-in', user };
+    } catch (err) {
+        return { status: 'unavailable' };
+    }
+};
+
+// --- Login Screen Component ---
+function LoginScreen({ notice, onSignedIn }) {
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState(notice);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            const response = await fetch('/api/session', {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password }),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `Sign-in failed with status ${response.status}`);
+            onSignedIn(data.user);
+        } catch (err) {
+            setError(err.message);
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="flex items-center justify-center h-screen bg-gray-100 font-sans">
+            <form onSubmit={handleSubmit} className="w-full max-w-sm p-8 space-y-4 bg-white border rounded-xl shadow">
+                <div className="flex items-center justify-center mb-2"><FileText className="w-8 h-8 text-blue-600" /><span className="ml-2 text-xl font-bold text-gray-800">Lodgify AI</span></div>
+                {error && <p className="p-3 text-sm text-red-700 bg-red-100 border border-red-300 rounded-lg" role="alert">{error}</p>}
+                <label className="block text-sm font-medium text-gray-700">Username<input type="text" value={username} onChange={e => setUsername(e.target.value)} autoComplete="username" autoFocus required className="block w-full px-3 py-2 mt-1 text-sm border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500" /></label>
+                <label className="block text-sm font-medium text-gray-700">Password<input type="password" value={password} onChange={e => setPassword(e.target.value)} autoComplete="current-password" required className="block w-full px-3 py-2 mt-1 text-sm border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500" /></label>
+                <button type="submit" disabled={isSubmitting} className="flex items-center justify-center w-full px-4 py-2 text-sm font-semibold text-white bg-blue-600 rounded-lg shadow-sm hover:bg-blue-700 disabled:bg-blue-300 disabled:cursor-not-allowed transition-colors"><LogIn className="w-4 h-4 mr-2" />{isSubmitting ? 'Signing in...' : 'Sign in'}</button>
+            </form>
+        </div>
+    );
+}
+
+// --- Session Gate Component ---
+// Shows the sign-in screen until there's a session, then renders its child function with
+// { user, onLogout }. `user` is null when the app runs without an API.
+export default function SessionGate({ children }) {
+    const [session, setSession] = useState({ status: 'checking' });
+
+    useEffect(() => {
+        checkSession().then(setSession);
+        handleSessionExpired = () => setSession(current => (
+            current.status === 'signed-in' ? { status: 'signed-out', notice: 'Your session has expired. Please sign in again.' } : current
+        ));
+        return () => { handleSessionExpired = () => {}; };
+    }, []);
+
+    const handleLogout = async () => {
+        try {
+            await fetch('/api/session', { method: 'DELETE', credentials: 'same-origin' });
+        } catch (err) {
+            console.error("Error signing out:", err);
+        }
+        setSession({ status: 'signed-out' });
+    };
+
+    if (session.status === 'checking') return null;
+    if (session.status === 'signed-out') return <LoginScreen notice={session.notice} onSignedIn={user => setSession({ status: 'signed-in', user })} />;
+    return children({ user: session.user || null, onLogout: session.status === 'signed-in' ? handleLogout : null });
+}
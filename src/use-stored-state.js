@@ -0,0 +1,27 @@
+// --- Persisted State ---
+// Settings and history that should survive a page reload are kept in localStorage.
+
+import { useState, useEffect } from 'react';
+
+// Like useState, but the value is kept in localStorage under `key`.
+export const useStoredState = (key, initialValue) => {
+    const [value, setValue] = useState(() => {
+        try {
+            const stored = window.localStorage.getItem(key);
+            return stored ? JSON.parse(stored) : initialValue;
+        } catch (err) {
+            return initialValue;
+        }
+    });
+
+    useEffect(() => {
+        try {
+            window.localStorage.setItem(key, JSON.stringify(value));
+        } catch (err) {
+            // Storage can be full or disabled; the value still works for this session.
+            console.error(`Could not save ${key}:`, err);
+        }
+    }, [key, value]);
+
+    return [value, setValue];
+};